@@ -1,6 +1,8 @@
 // Background Service Worker for Open AudioAi Chrome Extension
 // Security: Handles authentication, API communication, and extension lifecycle
 
+importScripts('js/blob-store.js', 'js/config.js', 'js/audio-formats.js', 'js/transcript-record.js');
+
 // Extension lifecycle management
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('Open AudioAi extension installed/updated:', details.reason);
@@ -153,76 +155,220 @@ const AuthManager = {
     }
 };
 
+// Upload failure with a kind the retry logic and the popup can act on
+class UploadError extends Error {
+    constructor(message, { kind = 'unknown', status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.kind = kind; // 'network' | 'timeout' | 'server' | 'rate_limited' | 'auth' | 'too_large' | 'insufficient_tokens' | 'rejected' | 'unknown'
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        // Set when the server may have received the whole request and run it anyway
+        this.maybeProcessed = false;
+    }
+
+    get retryable() {
+        return !this.maybeProcessed && ['network', 'timeout', 'server', 'rate_limited'].includes(this.kind);
+    }
+
+    // Map a non-OK HTTP response (and its parsed JSON body, if any) to a typed error
+    static fromResponse(response, json) {
+        const status = response.status;
+        // Our server sends { message }, OpenAI-compatible servers { error: { message } }, FastAPI { detail }
+        const serverMessage = [json?.message, json?.error?.message, json?.detail].find(message => typeof message === 'string') || '';
+        if (status === 401 || status === 403) {
+            return new UploadError('Your session has expired or was rejected. Please sign in again.', { kind: 'auth', status });
+        }
+        if (status === 402) {
+            return new UploadError(serverMessage || 'Insufficient tokens', { kind: 'insufficient_tokens', status });
+        }
+        if (status === 413) {
+            return new UploadError('File is too large for the server.', { kind: 'too_large', status });
+        }
+        if (status === 429) {
+            return new UploadError('Server is busy (rate limited).', {
+                kind: 'rate_limited',
+                status,
+                retryAfterMs: UploadError.parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        }
+        if (status === 408 || status === 504) {
+            return new UploadError('Server timed out.', { kind: 'timeout', status });
+        }
+        if (status >= 500) {
+            return new UploadError(serverMessage || `Server error ${status}`, { kind: 'server', status });
+        }
+        return new UploadError(serverMessage || `Request rejected (${status})`, { kind: 'rejected', status });
+    }
+
+    // Retry-After is either delta seconds or an HTTP date
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Only failed requests are retryable; client.request already wraps fetch failures, and any other
+    // TypeError is a bug that would fail the same way again
+    static from(error) {
+        if (error instanceof UploadError) return error;
+        if (error?.name === 'TimeoutError') {
+            return new UploadError('Server did not respond in time.', { kind: 'timeout' });
+        }
+        return new UploadError(error?.message || 'Upload failed');
+    }
+}
+
+// Requests against one connection profile (see js/config.js): base URL, extra headers, auth and timeouts
+function createServerClient(profile, token) {
+    return {
+        profile,
+        token,
+
+        url(path) {
+            return `${profile.baseUrl}${path}`;
+        },
+
+        headers(extra = {}) {
+            // Our server gets the Google sign-in token; other backends only ever see the profile's own API key
+            const bearer = profile.backend === 'open-audioai' ? token : profile.apiKey;
+            return {
+                ...profile.headers,
+                ...(bearer ? { 'Authorization': `Bearer ${bearer}` } : {}),
+                ...extra
+            };
+        },
+
+        // fetch() with the profile applied; connection failures and timeouts become retryable UploadErrors
+        async request(path, { timeoutMs = profile.requestTimeoutMs, signal, headers, ...options } = {}) {
+            const signals = signal ? [signal] : [];
+            const timeoutSignal = timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : null;
+            if (timeoutSignal) signals.push(timeoutSignal);
+            try {
+                return await fetch(this.url(path), {
+                    ...options,
+                    headers: this.headers(headers),
+                    signal: signals.length > 0 ? AbortSignal.any(signals) : undefined
+                });
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                if (timeoutSignal?.aborted) {
+                    throw new UploadError('Server did not respond in time.', { kind: 'timeout' });
+                }
+                throw new UploadError('Network connection lost.', { kind: 'network' });
+            }
+        }
+    };
+}
+
+// Client for the profile a record was started with, falling back to the active profile
+async function getServerClient(profileId, token) {
+    const profile = (profileId && await ConfigStore.getProfile(profileId)) || await ConfigStore.getActiveProfile();
+    return createServerClient(profile, token);
+}
+
+// The worker's shared records (transcripts, uploadSessions, pendingJobs, uploadQueue) are read, changed and
+// written back as a whole. Concurrent uploads and polls would overwrite each other's changes, so every
+// such change runs through here, one at a time, on the value as it is when its turn comes.
+const SharedStorage = {
+    chain: Promise.resolve(),
+
+    // change(values) gets { key: storedValue } for keys and returns the values to write, or null to write nothing.
+    // It must not wait on another update, which would be queued behind it.
+    update(keys, change) {
+        const run = this.chain.then(async () => {
+            const changes = change(await chrome.storage.local.get(keys));
+            if (changes) await chrome.storage.local.set(changes);
+            return changes;
+        });
+        this.chain = run.catch(() => {});
+        return run;
+    },
+
+    // Change the transcripts list; change(transcripts) returns the new list, or null to leave it as it is
+    updateTranscripts(change) {
+        return this.update(['transcripts'], ({ transcripts = [] }) => {
+            const updated = change(transcripts);
+            return updated ? { transcripts: updated } : null;
+        });
+    }
+};
+
+// Bring stored records to the current schema (js/transcript-record.js) before anything else touches them.
+// The rewrite is the first change queued on SharedStorage, and messages, the upload queue and job polls
+// wait for it before they read records.
+async function migrateTranscriptRecords() {
+    let count = 0;
+    await SharedStorage.updateTranscripts(transcripts => {
+        if (transcripts.every(t => t?.schemaVersion >= TranscriptRecord.SCHEMA_VERSION)) return null;
+        count = transcripts.length;
+        return transcripts.map(t => TranscriptRecord.migrate(t));
+    });
+    if (count > 0) {
+        console.log('[Storage] Migrated transcript records', { count });
+    }
+}
+
+const migrated = migrateTranscriptRecords().catch(error => {
+    SecurityManager.logSecurity('transcript_migration_failed', { error: error.message });
+});
+
 // Add upload/transcription handling in background service worker
 const UploadManager = (() => {
-    const SERVER_BASE_URL = 'http://localhost:8000';
+    const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB per part; smaller files go in a single request
+    const RETRY_MAX_ATTEMPTS = 5;
+    const RETRY_BASE_DELAY_MS = 2000;
+    const RETRY_MAX_DELAY_MS = 60000;
+    const STAGE_POLL_INTERVAL_MS = 3000;
+    const STAGE_POLL_MAX_FAILURES = 3;
+    const PARTIAL_SAVE_INTERVAL_MS = 2000;
+    const KEEPALIVE_INTERVAL_MS = 20 * 1000;
+    const STAGING_MAX_AGE_MS = 60 * 60 * 1000;
+    const FAILED_FILE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Failed uploads keep their file for Retry this long
+    const FAILED_FILES_MAX_BYTES = 1024 * 1024 * 1024; // and all of them together up to this much, newest first
+    const TIME_MAP_MAX_ENTRIES = 10000;
+    const KEPT_AUDIO_MAX_BYTES = 500 * 1024 * 1024; // All kept audio together; the oldest goes first
+
+    // In-flight uploads in this worker: id -> { controller, client }
+    const activeUploads = new Map();
+    let keepAliveTimer = null;
+
+    // Chrome stops an idle worker after 30s even with a fetch open; calling an extension API resets that timer.
+    // If the worker is stopped anyway, UploadQueue.recover() re-queues the upload and chunked sessions resume.
+    function updateKeepAlive() {
+        if (activeUploads.size > 0 && !keepAliveTimer) {
+            keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(() => {}), KEEPALIVE_INTERVAL_MS);
+        } else if (activeUploads.size === 0 && keepAliveTimer) {
+            clearInterval(keepAliveTimer);
+            keepAliveTimer = null;
+        }
+    }
 
     async function saveTranscriptRecord(record) {
         try {
-            const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-            transcripts.unshift(record);
-            await chrome.storage.local.set({ transcripts });
+            await SharedStorage.updateTranscripts(transcripts => [record, ...transcripts]);
         } catch (error) {
             console.error('Failed saving transcript record:', error);
         }
     }
 
-    function buildRecord({ id, filename, status, transcript, words, error }) {
+    // result: the server's { transcript, segments, words, language } for finished records (see js/transcript-record.js)
+    function buildRecord({ id, filename, status, result, error, errorKind }) {
         return {
             id,
             filename,
             createdAt: Date.now(),
-            status, // 'pending' | 'success' | 'error'
-            transcript: transcript || '',
-            words: words || [],
+            status, // 'queued' | 'paused' | 'pending' | 'success' | 'error' | 'cancelled'
+            ...TranscriptRecord.fromResult(result),
             error: error || null,
+            errorKind: errorKind || null,
         };
     }
 
-    // Combine transcript text and words array into a single string for display/copy
-    function combineTranscriptAndWords(transcript, words) {
-        try {
-            const combinedObject = {
-                transcript: transcript || '',
-                words: Array.isArray(words) ? words : []
-            };
-            return JSON.stringify(combinedObject, null, 2);
-        } catch (_) {
-            const safeTranscript = typeof transcript === 'string' ? transcript : '';
-            return safeTranscript + '\n\n[words unavailable]';
-        }
-    }
-
-    async function toBlobFromPayload({ arrayBuffer, dataUrl, mime = 'audio/m4a' }) {
-        try {
-            if (dataUrl && typeof dataUrl === 'string' && dataUrl.startsWith('data:')) {
-                const resp = await fetch(dataUrl);
-                return await resp.blob();
-            }
-            if (arrayBuffer instanceof ArrayBuffer) {
-                return new Blob([arrayBuffer], { type: mime });
-            }
-            throw new Error('No valid file payload');
-        } catch (e) {
-            throw new Error('Failed to build Blob from payload');
-        }
-    }
-
-    async function uploadPayload({ id, filename, arrayBuffer, dataUrl, token }) {
-        const blob = await toBlobFromPayload({ arrayBuffer, dataUrl });
-        const formData = new FormData();
-        formData.append('audio_file', blob, filename);
-        formData.append('nonce', crypto.getRandomValues(new Uint32Array(1))[0].toString(16));
-
-        // Diagnostics
-        console.log('[Upload] Starting', { id, filename, size: blob.size, type: blob.type });
-
-        const response = await fetch(`${SERVER_BASE_URL}/transcribe/`, {
-            method: 'POST',
-            headers: token ? { 'Authorization': `Bearer ${token}` } : {},
-            body: formData,
-        });
-
+    // Normalize a /transcribe/ style response into { code: 1, transcript, words } or throw
+    async function parseTranscribeResponse(response) {
         const text = await response.text().catch(() => '');
         let json;
         if (!response.ok) {
@@ -232,7 +378,7 @@ const UploadManager = (() => {
             } catch (_) {
                 json = null;
             }
-            throw new Error(json?.message || `Server error ${response.status}`);
+            throw UploadError.fromResponse(response, json);
         }
 
         // Normalize 200 OK responses
@@ -242,227 +388,2084 @@ const UploadManager = (() => {
             json = null;
         }
 
+        // Async job mode: the server accepted the file and JobPoller follows GET /jobs/{id}
+        if (json && typeof json === 'object' && json.job_id && typeof json.transcript === 'undefined') {
+            return {
+                jobId: String(json.job_id),
+                stage: json.stage || 'queued',
+                streamUrl: typeof json.stream_url === 'string' ? json.stream_url : null
+            };
+        }
+
         if (!json || typeof json !== 'object') {
             json = { code: 1, transcript: text || '', words: [] };
         } else if (typeof json.code === 'undefined') {
             json = {
                 code: 1,
                 transcript: json.transcript || text || '',
-                words: Array.isArray(json.words) ? json.words : []
+                segments: Array.isArray(json.segments) ? json.segments : [],
+                words: Array.isArray(json.words) ? json.words : [],
+                language: json.language
             };
         }
 
-        // New format: { code: 1 | 2, transcript?: string, words?: Array }
+        // New format: { code: 1 | 2, transcript?: string, segments?: Array, words?: Array, language?: string }
+        if (Number(json?.code) === 2) {
+            throw new UploadError(json?.message || 'Insufficient tokens', { kind: 'insufficient_tokens' });
+        }
         if (Number(json?.code) !== 1) {
-            throw new Error(json?.message || 'Transcription failed');
+            throw new UploadError(json?.message || 'Transcription failed', { kind: 'rejected' });
         }
-
-        console.log('[Upload] Success', { id, bytes: blob.size });
-        return json; // { code: 1, transcript, words }
+        return json;
     }
 
-    async function startUpload({ filename, arrayBuffer, dataUrl, token }) {
-        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-        const pendingRecord = buildRecord({ id, filename, status: 'pending' });
-        await saveTranscriptRecord(pendingRecord);
-        notifyProgress({ id, status: 'pending' });
+    // Collects streamed segments for a pending record and persists them so a reopened popup still shows them.
+    // handle() returns the final { code: 1, transcript, segments, words } on 'done', and throws on 'error'.
+    function createPartialTranscript(id) {
+        const segments = [];
+        let lastSavedAt = 0;
+        let finished = false;
+
+        const save = async () => {
+            if (finished) return;
+            lastSavedAt = Date.now();
+            await patchTranscriptRecord(id, { partialSegments: segments.slice() }).catch(() => {});
+        };
+
+        return {
+            async handle(type, data) {
+                if (type === 'segment' && typeof data?.text === 'string') {
+                    const segment = { start: Number(data.start) || 0, end: Number(data.end) || 0, text: data.text };
+                    segments.push(segment);
+                    notifyProgress({ id, status: 'pending', stage: 'transcribing', segment });
+                    if (Date.now() - lastSavedAt >= PARTIAL_SAVE_INTERVAL_MS) {
+                        await save();
+                    }
+                } else if (type === 'stage' && typeof data?.stage === 'string') {
+                    await reportStage(id, data.stage);
+                } else if (type === 'error') {
+                    finished = true;
+                    const kind = Number(data?.code) === 2 ? 'insufficient_tokens' : 'rejected';
+                    throw new UploadError(data?.message || 'Transcription failed', { kind });
+                } else if (type === 'done') {
+                    finished = true;
+                    return {
+                        code: 1,
+                        transcript: typeof data?.transcript === 'string' ? data.transcript : segments.map(seg => seg.text.trim()).join(' '),
+                        segments: Array.isArray(data?.segments) ? data.segments : segments,
+                        words: Array.isArray(data?.words) ? data.words : [],
+                        language: data?.language
+                    };
+                }
+                return null;
+            },
+            flush: save
+        };
+    }
 
+    // One SSE block ("event: segment\ndata: {...}") -> { type, data }
+    function parseSseEvent(block) {
+        let type = '';
+        const dataLines = [];
+        for (const line of block.split(/\r?\n/)) {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        }
+        if (dataLines.length === 0) return null;
+        let data;
         try {
-            const { transcript, words } = await uploadPayload({ id, filename, arrayBuffer, dataUrl, token });
-            const combinedText = combineTranscriptAndWords(transcript, words);
-            const successRecord = buildRecord({ id, filename, status: 'success', transcript: combinedText, words });
+            data = JSON.parse(dataLines.join('\n'));
+        } catch (_) {
+            data = { text: dataLines.join('\n') };
+        }
+        return { type: type || data?.type || 'message', data };
+    }
 
-            const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-            const updated = transcripts.map(t => t.id === id ? successRecord : t);
-            await chrome.storage.local.set({ transcripts: updated });
+    async function readEventStream(id, response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const partial = createPartialTranscript(id);
+        let buffer = '';
+        let result = null;
 
-            notifyProgress({ id, status: 'success', transcript: combinedText });
-            return { success: true, id };
-        } catch (error) {
-            const errorRecord = buildRecord({ id, filename, status: 'error', error: error.message });
-            const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-            const updated = transcripts.map(t => t.id === id ? errorRecord : t);
-            await chrome.storage.local.set({ transcripts: updated });
+        while (!result) {
+            const { value, done } = await reader.read().catch(() => {
+                throw new UploadError('Connection lost while waiting for the transcript.', { kind: 'network' });
+            });
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            let match;
+            while (!result && (match = /\r?\n\r?\n/.exec(buffer))) {
+                const event = parseSseEvent(buffer.slice(0, match.index));
+                buffer = buffer.slice(match.index + match[0].length);
+                if (event) {
+                    result = await partial.handle(event.type, event.data);
+                }
+            }
+        }
+        reader.cancel().catch(() => {});
+        await partial.flush();
+        if (!result) {
+            throw new UploadError('Transcription stream ended before the final result.', { kind: 'server' });
+        }
+        return result;
+    }
 
-            notifyProgress({ id, status: 'error', message: error.message });
-            return { success: false, id, message: error.message };
+    // Streamed (SSE) responses carry partial segments; anything else is a regular JSON body
+    async function readTranscribeResponse(id, response) {
+        const contentType = response.headers.get('Content-Type') || '';
+        if (response.ok && response.body && contentType.includes('text/event-stream')) {
+            return await readEventStream(id, response);
         }
+        return await parseTranscribeResponse(response);
     }
 
-    function notifyProgress(payload) {
-        chrome.runtime.sendMessage({ action: 'uploadProgress', data: payload }).catch(() => {});
+    // Resumable upload sessions, keyed by record id: { uploadId, filename, size, offset, chunkSize }
+    async function getUploadSession(id) {
+        const { uploadSessions = {} } = await chrome.storage.local.get(['uploadSessions']);
+        return uploadSessions[id] || null;
     }
 
-    return { startUpload };
-})();
+    async function saveUploadSession(id, session) {
+        await SharedStorage.update(['uploadSessions'], ({ uploadSessions = {} }) => ({
+            uploadSessions: { ...uploadSessions, [id]: { ...session, updatedAt: Date.now() } }
+        }));
+    }
 
-// Message handling with security validation
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // Security validation
-    if (!SecurityManager.validateRequest(request, sender)) {
-        sendResponse({ error: 'Unauthorized request' });
-        return;
+    async function clearUploadSession(id) {
+        await SharedStorage.update(['uploadSessions'], ({ uploadSessions = {} }) => {
+            if (!uploadSessions[id]) return null;
+            const { [id]: _removed, ...rest } = uploadSessions;
+            return { uploadSessions: rest };
+        });
     }
-    
-    // Handle async operations
-    handleMessage(request, sender)
-        .then(response => sendResponse(response))
-        .catch(error => {
-            SecurityManager.logSecurity('message_handling_error', { 
-                error: error.message, 
-                request: request.action 
-            });
-            sendResponse({ error: 'Internal error' });
+
+    // Resolves after ms, or rejects as soon as the signal aborts
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(new DOMException('Aborted', 'AbortError'));
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
         });
-    
-    return true; // Keep message channel open for async response
-});
+    }
 
-async function handleMessage(request, sender) {
-    const { action, data } = request;
-    
-    switch (action) {
-        case 'validateAuth':
-            return await handleAuthValidation(data);
-            
-        case 'refreshToken':
-            return await handleTokenRefresh(data);
-            
-        case 'logSecurityEvent':
-            SecurityManager.logSecurity(data.event, data.details);
-            return { success: true };
-            
-        case 'checkApiHealth':
-            return await checkApiHealth();
-            
-        case 'startBackgroundUpload': {
-            const { filename, arrayBuffer, dataUrl, token } = data || {};
-            console.log('[BG] startBackgroundUpload received', {
-                hasFilename: !!filename,
-                hasArrayBuffer: arrayBuffer instanceof ArrayBuffer,
-                arrayBufferType: arrayBuffer ? Object.prototype.toString.call(arrayBuffer) : null,
-                hasDataUrl: typeof dataUrl === 'string' && dataUrl.startsWith('data:'),
-                dataUrlPrefix: typeof dataUrl === 'string' ? dataUrl.slice(0, 30) : null
-            });
+    // Exponential backoff with equal jitter, never sooner than the server's Retry-After
+    function backoffDelay(attempt, retryAfterMs) {
+        const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        const jittered = ceiling / 2 + Math.random() * (ceiling / 2);
+        return Math.round(Math.max(jittered, retryAfterMs || 0));
+    }
 
-            const hasAb = arrayBuffer && (arrayBuffer.byteLength >= 0 || arrayBuffer.size >= 0);
-            const hasDu = typeof dataUrl === 'string' && dataUrl.startsWith('data:');
+    // Merge fields into a stored record without touching the rest of the list
+    async function patchTranscriptRecord(id, fields) {
+        await SharedStorage.updateTranscripts(transcripts => transcripts.map(t => t.id === id ? { ...t, ...fields } : t));
+    }
 
-            if (!filename || (!hasAb && !hasDu)) {
-                return { success: false, message: 'Missing file data' };
-            }
-            return await UploadManager.startUpload({ filename, arrayBuffer, dataUrl, token });
-        }
-        case 'getTranscripts': {
-            const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-            return { success: true, transcripts };
-        }
-        case 'deleteTranscript': {
+    // Turns a running byte count into { bytesSent, totalBytes, percent, bytesPerSecond, etaSeconds }
+    function createProgressTracker(totalBytes, startBytes = 0) {
+        const startedAt = Date.now();
+        return (bytesSent) => {
+            const elapsedSeconds = (Date.now() - startedAt) / 1000;
+            const bytesPerSecond = elapsedSeconds > 0 ? (bytesSent - startBytes) / elapsedSeconds : 0;
+            return {
+                bytesSent,
+                totalBytes,
+                percent: totalBytes > 0 ? Math.min(100, Math.round((bytesSent / totalBytes) * 100)) : 0,
+                bytesPerSecond: Math.max(0, Math.round(bytesPerSecond)),
+                etaSeconds: bytesPerSecond > 0 ? Math.round((totalBytes - bytesSent) / bytesPerSecond) : null
+            };
+        };
+    }
+
+    async function reportProgress(id, progress) {
+        await patchTranscriptRecord(id, { stage: 'uploading', progress }).catch(() => {});
+        notifyProgress({ id, status: 'pending', stage: 'uploading', progress });
+    }
+
+    // fetch() exposes no upload progress, so a file sent in one request reports only its size; the popup says
+    // that progress is unavailable instead of showing a bar stuck at 0%
+    async function reportSingleRequest(id, blob) {
+        await reportProgress(id, { bytesSent: 0, totalBytes: blob.size, unknown: true });
+    }
+
+    async function reportStage(id, stage) {
+        await patchTranscriptRecord(id, { stage }).catch(() => {});
+        notifyProgress({ id, status: 'pending', stage });
+    }
+
+    // Poll the server for processing stages (queued, decoding, transcribing, aligning) while a request is open
+    function watchServerStages(id, client) {
+        let stopped = false;
+        let failures = 0;
+        let lastStage = null;
+        let timer = null;
+
+        const poll = async () => {
+            if (stopped) return;
             try {
-                const id = data?.id;
-                if (!id) {
-                    return { success: false, message: 'Missing id' };
+                const response = await client.request(`/progress/${encodeURIComponent(id)}`, { method: 'GET' });
+                const json = response.ok ? await response.json().catch(() => null) : null;
+                if (json && typeof json.stage === 'string') {
+                    failures = 0;
+                    if (!stopped && json.stage !== lastStage) {
+                        lastStage = json.stage;
+                        await reportStage(id, json.stage);
+                    }
+                } else {
+                    failures++;
                 }
-                const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-                const updated = transcripts.filter(t => t.id !== id);
-                await chrome.storage.local.set({ transcripts: updated });
-                return { success: true };
-            } catch (e) {
-                SecurityManager.logSecurity('delete_transcript_failed', { error: e.message });
-                return { success: false, message: 'Failed to delete transcript' };
+            } catch (_) {
+                failures++;
             }
-        }
-        case 'updateTranscript': {
-            try {
-                const { id, transcript: newTranscript, filename: newFilename } = data || {};
-                if (!id) {
-                    return { success: false, message: 'Missing id' };
-                }
-                const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-                let updatedRecord = null;
-                const updated = transcripts.map(t => {
-                    if (t.id === id) {
-                        updatedRecord = { ...t };
-                        if (typeof newTranscript === 'string') {
-                            updatedRecord.transcript = newTranscript;
-                        }
-                        if (typeof newFilename === 'string' && newFilename.trim()) {
-                            updatedRecord.filename = newFilename.trim();
-                        }
-                        updatedRecord.updatedAt = Date.now();
-                        return updatedRecord;
-                    }
-                    return t;
-                });
-                await chrome.storage.local.set({ transcripts: updated });
-                return { success: true, transcript: updatedRecord };
-            } catch (e) {
-                SecurityManager.logSecurity('update_transcript_failed', { error: e.message });
-                return { success: false, message: 'Failed to update transcript' };
+            if (!stopped && failures < STAGE_POLL_MAX_FAILURES) {
+                timer = setTimeout(poll, STAGE_POLL_INTERVAL_MS);
             }
+        };
+
+        timer = setTimeout(poll, STAGE_POLL_INTERVAL_MS);
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+
+    async function uploadSingle({ id, filename, blob, client, signal }) {
+        const formData = new FormData();
+        formData.append('audio_file', blob, filename);
+        formData.append('nonce', crypto.getRandomValues(new Uint32Array(1))[0].toString(16));
+
+        await reportSingleRequest(id, blob);
+        const stopWatching = watchServerStages(id, client);
+        try {
+            const response = await client.request('/transcribe/', {
+                method: 'POST',
+                headers: { 'X-Request-Id': id, 'Idempotency-Key': id, 'Accept': 'text/event-stream, application/json' },
+                body: formData,
+                signal,
+                timeoutMs: client.profile.transcriptionTimeoutMs
+            });
+            return await readTranscribeResponse(id, response);
+        } finally {
+            stopWatching();
         }
-        default:
-            SecurityManager.logSecurity('unknown_action', { action });
-            return { error: 'Unknown action' };
     }
-}
 
-async function handleAuthValidation(data) {
-    try {
-        const { userData } = data;
-        
-        if (!userData || !userData.accessToken) {
-            return { valid: false, reason: 'No token provided' };
+    // Returns a new session, or null when the server has no chunked upload endpoint
+    async function initUploadSession({ filename, blob, client, signal }) {
+        const response = await client.request('/uploads/', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename, size: blob.size, mime_type: blob.type || '' }),
+            signal
+        });
+        if (response.status === 404 || response.status === 405) {
+            return null;
         }
-        
-        // Rate limiting check
-        if (!SecurityManager.checkRateLimit(userData.id)) {
-            return { valid: false, reason: 'Rate limit exceeded' };
+        const json = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw UploadError.fromResponse(response, json);
         }
-        
-        const isValid = await AuthManager.validateToken(userData.accessToken);
-        return { valid: isValid };
-        
-    } catch (error) {
-        SecurityManager.logSecurity('auth_validation_error', { error: error.message });
-        return { valid: false, reason: 'Validation failed' };
+        if (!json?.upload_id) {
+            throw new UploadError('Server returned an invalid upload session.', { kind: 'server', status: response.status });
+        }
+        return {
+            uploadId: String(json.upload_id),
+            baseUrl: client.profile.baseUrl,
+            filename,
+            size: blob.size,
+            offset: Number(json.offset) || 0,
+            chunkSize: Number(json.chunk_size) > 0 ? Number(json.chunk_size) : CHUNK_SIZE
+        };
     }
-}
 
-async function handleTokenRefresh(data) {
-    try {
-        const { userData } = data;
-        const refreshedData = await AuthManager.refreshTokenIfNeeded(userData);
-        
-        if (refreshedData) {
-            return { success: true, userData: refreshedData };
-        } else {
-            return { success: false, reason: 'Token refresh failed' };
+    // Ask the server how many bytes it already holds; null if the session is gone
+    async function fetchUploadOffset(uploadId, client, signal) {
+        const response = await client.request(`/uploads/${encodeURIComponent(uploadId)}`, {
+            method: 'GET',
+            signal
+        });
+        if (!response.ok) {
+            return null;
         }
-        
-    } catch (error) {
-        SecurityManager.logSecurity('token_refresh_error', { error: error.message });
-        return { success: false, reason: 'Internal error' };
+        const json = await response.json().catch(() => null);
+        const offset = Number(json?.offset);
+        return Number.isFinite(offset) ? offset : null;
     }
-}
 
-async function checkApiHealth() {
+    async function uploadPart(session, blob, client, signal) {
+        const start = session.offset;
+        const end = Math.min(start + session.chunkSize, blob.size);
+        const response = await client.request(`/uploads/${encodeURIComponent(session.uploadId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${end - 1}/${blob.size}`
+            },
+            body: blob.slice(start, end),
+            signal,
+            timeoutMs: client.profile.uploadTimeoutMs
+        });
+        const json = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw UploadError.fromResponse(response, json);
+        }
+        const offset = Number(json?.offset);
+        return Number.isFinite(offset) ? offset : end;
+    }
+
+    // Returns the transcription result, or null when chunked uploads are unsupported
+    async function uploadChunked({ id, filename, blob, client, signal }) {
+        let session = await getUploadSession(id);
+        // A session only resumes against the same file on the same server
+        if (session && (session.size !== blob.size || session.baseUrl !== client.profile.baseUrl)) {
+            await clearUploadSession(id);
+            session = null;
+        }
+        if (session) {
+            const offset = await fetchUploadOffset(session.uploadId, client, signal).catch(() => null);
+            if (offset === null) {
+                await clearUploadSession(id);
+                session = null;
+            } else {
+                session.offset = offset;
+                console.log('[Upload] Resuming', { id, uploadId: session.uploadId, offset });
+            }
+        }
+        if (!session) {
+            session = await initUploadSession({ filename, blob, client, signal });
+            if (!session) {
+                return null;
+            }
+        }
+        await saveUploadSession(id, session);
+
+        // Only parts of a saved session can be paused and picked up again; the popup offers Pause for these
+        const trackProgress = createProgressTracker(blob.size, session.offset);
+        const reportPart = offset => reportProgress(id, { ...trackProgress(offset), resumable: true });
+        await reportPart(session.offset);
+
+        // A failed part surfaces to uploadWithRetry; the next attempt resumes from the server offset
+        while (session.offset < blob.size) {
+            session.offset = await uploadPart(session, blob, client, signal);
+            await saveUploadSession(id, session);
+            await reportPart(session.offset);
+        }
+
+        await reportStage(id, 'queued');
+        const stopWatching = watchServerStages(id, client);
+        try {
+            const response = await client.request(`/uploads/${encodeURIComponent(session.uploadId)}/complete`, {
+                method: 'POST',
+                headers: { 'X-Request-Id': id, 'Idempotency-Key': id, 'Accept': 'text/event-stream, application/json' },
+                signal,
+                timeoutMs: client.profile.transcriptionTimeoutMs
+            });
+            const result = await readTranscribeResponse(id, response);
+            await clearUploadSession(id);
+            return result;
+        } finally {
+            stopWatching();
+        }
+    }
+
+    // Our server: resumable parts for large files, stages, streaming and async jobs
+    async function uploadToOpenAudioAi({ id, filename, blob, client, signal }) {
+        let json = null;
+        if (blob.size > CHUNK_SIZE) {
+            json = await uploadChunked({ id, filename, blob, client, signal });
+        }
+        if (!json) {
+            json = await uploadSingle({ id, filename, blob, client, signal });
+        }
+        return json;
+    }
+
+    // Read a JSON (or plain text) result body, throwing a typed error for non-OK responses
+    async function readResultBody(response) {
+        const text = await response.text().catch(() => '');
+        let json = null;
+        try {
+            json = text ? JSON.parse(text) : null;
+        } catch (_) {
+            json = null;
+        }
+        if (!response.ok) {
+            console.warn('[Upload] Server not OK', { status: response.status, body: text });
+            throw UploadError.fromResponse(response, json);
+        }
+        return { json, text };
+    }
+
+    // "segments.0.words" -> value, or undefined when any step is missing
+    function readPath(value, path) {
+        return path.split('.').filter(Boolean).reduce((current, key) => current?.[key], value);
+    }
+
+    // Any backend's word list -> [{ word, start, end, speaker? }]
+    function normalizeWords(list, { textKey = 'word', startKey = 'start', endKey = 'end', speakerKey = 'speaker' } = {}) {
+        if (!Array.isArray(list)) return [];
+        return list
+            .filter(item => item && typeof item === 'object' && typeof item[textKey] === 'string')
+            .map(item => ({
+                word: item[textKey],
+                start: Number(item[startKey]) || 0,
+                end: Number(item[endKey]) || 0,
+                ...TranscriptRecord.speakerField(item[speakerKey])
+            }));
+    }
+
+    // Other backends cannot tell a repeated request from a new one. Once the file may have reached them
+    // (lost connection, timeout, 5xx) sending it again could transcribe and bill it twice, so it is not retried.
+    async function sendOnce(request) {
+        try {
+            return await request();
+        } catch (error) {
+            if (error instanceof UploadError && ['network', 'timeout', 'server'].includes(error.kind)) {
+                error.maybeProcessed = true;
+                error.message += ' The server may still have transcribed the file, so it was not sent again.';
+            }
+            throw error;
+        }
+    }
+
+    // POST {baseUrl}/v1/audio/transcriptions as OpenAI, faster-whisper-server, LocalAI, etc. implement it
+    async function uploadToOpenAiCompatible({ id, filename, blob, client, signal }) {
+        const { model, language, prompt } = client.profile.backendOptions;
+        const formData = new FormData();
+        formData.append('file', blob, filename);
+        formData.append('model', model);
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'word');
+        formData.append('timestamp_granularities[]', 'segment');
+        if (language) formData.append('language', language);
+        if (prompt) formData.append('prompt', prompt);
+
+        await reportSingleRequest(id, blob);
+        const { json, text } = await sendOnce(async () => readResultBody(await client.request('/v1/audio/transcriptions', {
+            method: 'POST',
+            body: formData,
+            signal,
+            timeoutMs: client.profile.transcriptionTimeoutMs
+        })));
+        if (!json || typeof json !== 'object') {
+            return { code: 1, transcript: text, words: [] };
+        }
+        // Some servers only return words nested inside segments
+        const words = Array.isArray(json.words)
+            ? json.words
+            : (Array.isArray(json.segments) ? json.segments.flatMap(segment => segment.words || []) : []);
+        return {
+            code: 1,
+            transcript: typeof json.text === 'string' ? json.text : '',
+            segments: Array.isArray(json.segments) ? json.segments : [],
+            words: normalizeWords(words),
+            language: json.language
+        };
+    }
+
+    // Multipart POST to a configured path; the transcript and words are read from configured JSON paths
+    async function uploadToRestEndpoint({ id, filename, blob, client, signal }) {
+        const options = client.profile.backendOptions;
+        const formData = new FormData();
+        formData.append(options.fileField, blob, filename);
+        for (const [name, value] of Object.entries(options.formFields)) {
+            formData.append(name, value);
+        }
+
+        await reportSingleRequest(id, blob);
+        const { response, json, text } = await sendOnce(async () => {
+            const response = await client.request(options.path, {
+                method: 'POST',
+                body: formData,
+                signal,
+                timeoutMs: client.profile.transcriptionTimeoutMs
+            });
+            return { response, ...await readResultBody(response) };
+        });
+        // Plain-text bodies are taken as the transcript itself
+        if (!json || typeof json !== 'object') {
+            return { code: 1, transcript: text, words: [] };
+        }
+        const transcript = readPath(json, options.transcriptPath);
+        if (typeof transcript !== 'string') {
+            throw new UploadError(`The response has no transcript at "${options.transcriptPath}".`, { kind: 'rejected', status: response.status });
+        }
+        const words = options.wordsPath ? normalizeWords(readPath(json, options.wordsPath), {
+            textKey: options.wordTextKey,
+            startKey: options.wordStartKey,
+            endKey: options.wordEndKey
+        }) : [];
+        return { code: 1, transcript, words };
+    }
+
+    // One adapter per ConfigStore.BACKENDS entry; each resolves to { code: 1, transcript, segments?, words, language? } (or a job for our server)
+    const backendAdapters = {
+        'open-audioai': uploadToOpenAudioAi,
+        openai: uploadToOpenAiCompatible,
+        rest: uploadToRestEndpoint
+    };
+
+    async function uploadPayload({ id, filename, blob, client, signal }) {
+        // Diagnostics
+        const backend = client.profile.backend;
+        console.log('[Upload] Starting', { id, filename, backend, size: blob.size, type: blob.type });
+
+        const json = await backendAdapters[backend]({ id, filename, blob, client, signal });
+
+        console.log('[Upload] Success', { id, bytes: blob.size });
+        return json; // { code: 1, transcript, words }
+    }
+
+    // Retry transient failures (network, 5xx, timeouts, 429) with backoff; fail fast on the rest
+    async function uploadWithRetry({ id, filename, blob, client, signal }) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await uploadPayload({ id, filename, blob, client, signal });
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                const uploadError = UploadError.from(error);
+                if (!uploadError.retryable || attempt >= RETRY_MAX_ATTEMPTS) {
+                    throw uploadError;
+                }
+                const waitMs = backoffDelay(attempt, uploadError.retryAfterMs);
+                console.warn('[Upload] Attempt failed, retrying', { id, attempt, waitMs, kind: uploadError.kind, error: uploadError.message });
+                const retry = {
+                    attempt: attempt + 1,
+                    maxAttempts: RETRY_MAX_ATTEMPTS,
+                    nextRetryAt: Date.now() + waitMs,
+                    reason: uploadError.message
+                };
+                // The next attempt streams its segments from the start again
+                await patchTranscriptRecord(id, { stage: 'retrying', retry, partialSegments: null }).catch(() => {});
+                notifyProgress({ id, status: 'pending', stage: 'retrying', retry });
+                await delay(waitMs, signal);
+            }
+        }
+    }
+
+    // Facts about the file survive the record being rebuilt on success or failure
+    const PRESERVED_FIELDS = ['duration', 'audioInfo', 'sourceVideo', 'sourceUrl', 'batchId', 'notifyOnFinish'];
+
+    async function replaceTranscriptRecord(id, record) {
+        await SharedStorage.updateTranscripts(transcripts => transcripts.map(t => {
+            if (t.id !== id) return t;
+            const preserved = {};
+            for (const field of PRESERVED_FIELDS) {
+                if (t[field] != null) preserved[field] = t[field];
+            }
+            return { ...preserved, ...record };
+        }));
+    }
+
+    async function runUpload({ id, filename, token }) {
+        const controller = new AbortController();
+        activeUploads.set(id, { controller, client: null });
+        updateKeepAlive();
+        try {
+            const profile = await ConfigStore.getActiveProfile();
+            const client = createServerClient(profile, token);
+            activeUploads.get(id).client = client;
+            await patchTranscriptRecord(id, { status: 'pending', stage: 'uploading', progress: null, partialSegments: null, profileId: profile.id });
+            notifyProgress({ id, status: 'pending', stage: 'uploading' });
+
+            const blob = await BlobStore.get(id);
+            if (!(blob instanceof Blob)) {
+                throw new Error('Upload data is no longer available. Please upload the file again.');
+            }
+            // Audio reduced or extracted in the popup is WAV or AAC whatever the original was; servers go by the extension
+            const extension = { 'audio/wav': 'wav', 'audio/aac': 'aac' }[blob.type];
+            const uploadName = extension && !filename.toLowerCase().endsWith(`.${extension}`)
+                ? `${filename.replace(/\.[^.]*$/, '')}.${extension}`
+                : filename;
+            const result = await uploadWithRetry({ id, filename: uploadName, blob, client, signal: controller.signal });
+            // A cancel or pause that landed while the response was read owns the record; a job it could not know about is dropped
+            if (controller.signal.aborted || !await stillPending(id)) {
+                if (result.jobId) {
+                    client.request(`/jobs/${encodeURIComponent(result.jobId)}`, { method: 'DELETE' }).catch(() => {});
+                }
+                return { success: false, id, cancelled: true, message: 'Upload stopped' };
+            }
+            if (result.jobId) {
+                // The request is done; the transcript arrives through JobPoller
+                await JobPoller.track({ id, filename, jobId: result.jobId, stage: result.stage, streamUrl: result.streamUrl, profileId: profile.id });
+                return { success: true, id, jobId: result.jobId };
+            }
+            await completeUpload(id, filename, result);
+            return { success: true, id };
+        } catch (error) {
+            // Whoever aborted (cancel or pause) owns the record and the staged blob
+            if (controller.signal.aborted) {
+                return { success: false, id, cancelled: true, message: 'Upload stopped' };
+            }
+            const uploadError = await failUpload(id, filename, error);
+            return { success: false, id, message: uploadError.message, kind: uploadError.kind };
+        } finally {
+            activeUploads.delete(id);
+            updateKeepAlive();
+        }
+    }
+
+    async function stillPending(id) {
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        return transcripts.find(t => t.id === id)?.status === 'pending';
+    }
+
+    // Store a finished transcription, whether it came back on the request or from a job poll
+    async function completeUpload(id, filename, result) {
+        // Silence trimmed before upload shifts the server's timestamps; put them back on the original timeline
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        const timeMap = transcripts.find(t => t.id === id)?.audioInfo?.timeMap;
+        const successRecord = {
+            ...buildRecord({
+                id,
+                filename,
+                status: 'success',
+                result: {
+                    ...result,
+                    words: mapWordTimes(result.words, timeMap),
+                    segments: mapWordTimes(result.segments, timeMap)
+                }
+            }),
+            audioKept: await keepAudio(id)
+        };
+        await replaceTranscriptRecord(id, successRecord);
+
+        notifyProgress({ id, status: 'success', text: successRecord.text });
+    }
+
+    // The uploaded audio stays staged for the popup's player instead of being discarded.
+    // Older kept audio is dropped once all of it is over the cap; resolves whether this one was kept.
+    async function keepAudio(id) {
+        const size = await BlobStore.keep(id).catch(() => 0);
+        if (!size || size > KEPT_AUDIO_MAX_BYTES) {
+            await BlobStore.delete(id).catch(() => {});
+            return false;
+        }
+        const kept = (await BlobStore.entries()).filter(entry => entry.keptAt).sort((a, b) => b.keptAt - a.keptAt);
+        let total = 0;
+        for (const entry of kept) {
+            total += entry.size;
+            if (total > KEPT_AUDIO_MAX_BYTES) {
+                console.log('[Upload] Dropping kept audio over the size cap', { id: entry.id });
+                await BlobStore.delete(entry.id).catch(() => {});
+                await patchTranscriptRecord(entry.id, { audioKept: false }).catch(() => {});
+            }
+        }
+        return true;
+    }
+
+    // Mark a record failed; the staged blob is kept so the error card can offer Retry
+    async function failUpload(id, filename, error) {
+        const uploadError = UploadError.from(error);
+        const errorRecord = {
+            ...buildRecord({ id, filename, status: 'error', error: uploadError.message, errorKind: uploadError.kind }),
+            failedAt: Date.now()
+        };
+        await replaceTranscriptRecord(id, errorRecord);
+        await clearUploadSession(id).catch(() => {});
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        await pruneFailedFiles(await BlobStore.entries(), transcripts).catch(() => {});
+
+        notifyProgress({ id, status: 'error', message: uploadError.message, kind: uploadError.kind });
+        return uploadError;
+    }
+
+    // Stop a running upload without discarding it; chunked sessions continue from their offset later
+    function pauseUpload(id) {
+        const active = activeUploads.get(id);
+        if (!active) {
+            return false;
+        }
+        active.controller.abort();
+        activeUploads.delete(id);
+        return true;
+    }
+
+    function isUploading(id) {
+        return activeUploads.has(id);
+    }
+
+    // A single request may already be transcribing on the server, so only a chunked session sending parts can stop
+    async function isPausable(id) {
+        return activeUploads.has(id) && Boolean(await getUploadSession(id));
+    }
+
+    function activeCount() {
+        return activeUploads.size;
+    }
+
+    // Abort a running upload, ask the server to drop the job and mark the record cancelled
+    async function cancelUpload(id) {
+        const active = activeUploads.get(id);
+        if (active) {
+            active.controller.abort();
+            activeUploads.delete(id);
+        }
+
+        const { transcripts = [], authToken } = await chrome.storage.local.get(['transcripts', 'authToken']);
+        const record = transcripts.find(t => t.id === id);
+        if (!record) {
+            return { success: false, message: 'Transcript not found' };
+        }
+        if (!['pending', 'queued', 'paused'].includes(record.status)) {
+            return { success: false, message: 'Transcript is not in progress' };
+        }
+
+        const client = active?.client || await getServerClient(record.profileId, authToken);
+        const session = await getUploadSession(id);
+        const serverRequests = [];
+        // Other backends have no cancel endpoint; aborting the request is all we can do.
+        // A link that is still downloading has not reached the server.
+        if (record.status === 'pending' && record.stage !== 'downloading' && client.profile.backend === 'open-audioai') {
+            serverRequests.push(client.request(`/transcribe/${encodeURIComponent(id)}`, { method: 'DELETE' }));
+        }
+        if (session) {
+            serverRequests.push(client.request(`/uploads/${encodeURIComponent(session.uploadId)}`, { method: 'DELETE' }));
+        }
+        if (record.jobId) {
+            serverRequests.push(client.request(`/jobs/${encodeURIComponent(record.jobId)}`, { method: 'DELETE' }));
+            await JobPoller.untrack(id);
+        }
+        // Best effort: the record is cancelled locally even if the server is unreachable
+        await Promise.allSettled(serverRequests);
+
+        await clearUploadSession(id).catch(() => {});
+        await BlobStore.delete(id).catch(() => {});
+        await patchTranscriptRecord(id, { status: 'cancelled', stage: null, progress: null, cancelledAt: Date.now() });
+
+        notifyProgress({ id, status: 'cancelled' });
+        return { success: true };
+    }
+
+    // [[uploadedSeconds, originalSeconds], ...] in increasing order, or null
+    function sanitizeTimeMap(timeMap) {
+        if (!Array.isArray(timeMap) || timeMap.length === 0 || timeMap.length > TIME_MAP_MAX_ENTRIES) return null;
+        const valid = timeMap.every((entry, i) => Array.isArray(entry) && entry.length === 2
+            && entry.every(value => Number.isFinite(value) && value >= 0)
+            && (i === 0 || entry[0] > timeMap[i - 1][0]));
+        return valid ? timeMap.map(([uploaded, original]) => [uploaded, original]) : null;
+    }
+
+    function mapWordTimes(words, timeMap) {
+        if (!timeMap || !Array.isArray(words)) return words;
+        return words.map(word => {
+            if (!word || typeof word !== 'object') return word;
+            const mapped = { ...word };
+            for (const key of ['start', 'end']) {
+                if (Number.isFinite(Number(word[key]))) mapped[key] = TranscriptRecord.toOriginalTime(timeMap, Number(word[key]));
+            }
+            return mapped;
+        });
+    }
+
+    // Numbers the popup read from the file before upload; anything else is dropped
+    function sanitizeAudioInfo(audio) {
+        const number = (value) => Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null;
+        return {
+            duration: number(audio?.duration),
+            audioInfo: {
+                format: typeof audio?.format === 'string' ? audio.format.slice(0, 16) : null,
+                sampleRate: number(audio?.sampleRate),
+                channels: number(audio?.channels),
+                estimatedTokens: number(audio?.estimatedTokens),
+                estimatedSeconds: number(audio?.estimatedSeconds),
+                originalSize: number(audio?.originalSize),
+                uploadSize: number(audio?.uploadSize),
+                reduced: audio?.reduced === true,
+                uploadDuration: number(audio?.uploadDuration),
+                timeMap: sanitizeTimeMap(audio?.timeMap)
+            }
+        };
+    }
+
+    // A record with a confirmation starts paused until the user confirms it
+    async function createQueuedRecord({ id, filename, sourceVideo, sourceUrl, batchId, audio, confirmation = null }) {
+        const status = confirmation ? 'paused' : 'queued';
+        const record = { ...buildRecord({ id, filename, status }), ...sanitizeAudioInfo(audio), confirmation };
+        // Name of the video the audio was extracted from
+        if (typeof sourceVideo === 'string' && sourceVideo.trim()) {
+            record.sourceVideo = sourceVideo.trim().slice(0, 255);
+        }
+        // Link the file was downloaded from (UrlImport checks it is http or https)
+        if (typeof sourceUrl === 'string' && sourceUrl) {
+            record.sourceUrl = sourceUrl.slice(0, 2048);
+        }
+        // Files picked or dropped together, for the popup's batch summary
+        if (typeof batchId === 'string' && /^[\w-]{1,64}$/.test(batchId)) {
+            record.batchId = batchId;
+        }
+        await saveTranscriptRecord(record);
+        notifyProgress({ id, status });
+    }
+
+    async function failRecord(id, filename, message) {
+        await replaceTranscriptRecord(id, { ...buildRecord({ id, filename, status: 'error', error: message }), failedAt: Date.now(), fileAvailable: false });
+        await clearUploadSession(id).catch(() => {});
+        await BlobStore.delete(id).catch(() => {});
+        notifyProgress({ id, status: 'error', message });
+    }
+
+    // Drop resumable sessions whose record no longer exists
+    async function pruneUploadSessions(transcripts) {
+        const { uploadSessions = {} } = await chrome.storage.local.get(['uploadSessions']);
+        for (const id of Object.keys(uploadSessions)) {
+            if (!transcripts.some(t => t.id === id)) {
+                await clearUploadSession(id);
+                await BlobStore.delete(id).catch(() => {});
+            }
+        }
+    }
+
+    // Drop staged files nobody will upload: the popup closed while staging, or the record is gone.
+    // Fresh entries may still be waiting for their enqueueUpload message.
+    async function pruneStagedBlobs(transcripts) {
+        const entries = await BlobStore.entries();
+        const pendingRecording = await RecordingManager.getPending();
+        for (const { id, stagedAt } of entries) {
+            const abandoned = Date.now() - stagedAt > STAGING_MAX_AGE_MS;
+            if (abandoned && !transcripts.some(t => t.id === id) && id !== pendingRecording?.id) {
+                console.log('[Upload] Removing abandoned staged file', { id });
+                await BlobStore.delete(id).catch(() => {});
+            }
+        }
+        await pruneFailedFiles(entries, transcripts);
+    }
+
+    // Files of failed uploads go once they are older than a week or over the total cap (oldest first);
+    // their cards then say the file is gone instead of offering Retry
+    async function pruneFailedFiles(entries, transcripts) {
+        const failedAt = (record) => record.failedAt || record.createdAt || 0;
+        const failed = entries
+            .map(entry => ({ ...entry, record: transcripts.find(t => t.id === entry.id && t.status === 'error') }))
+            .filter(entry => entry.record && !entry.keptAt)
+            .sort((a, b) => failedAt(b.record) - failedAt(a.record));
+        let total = 0;
+        for (const { id, size, record } of failed) {
+            total += size;
+            if (Date.now() - failedAt(record) > FAILED_FILE_MAX_AGE_MS || total > FAILED_FILES_MAX_BYTES) {
+                console.log('[Upload] Removing the file of a failed upload', { id });
+                await BlobStore.delete(id).catch(() => {});
+                await patchTranscriptRecord(id, { fileAvailable: false });
+            }
+        }
+    }
+
+    function notifyProgress(payload) {
+        chrome.runtime.sendMessage({ action: 'uploadProgress', data: payload }).catch(() => {});
+        if (payload.status === 'success' || payload.status === 'error') {
+            Notifier.finished(payload.id).catch(error => {
+                console.warn('[Notify] Could not show notification', error);
+            });
+        }
+    }
+
+    return {
+        runUpload,
+        completeUpload,
+        failUpload,
+        createPartialTranscript,
+        pauseUpload,
+        cancelUpload,
+        isUploading,
+        isPausable,
+        activeCount,
+        createQueuedRecord,
+        sanitizeAudioInfo,
+        failRecord,
+        patchTranscriptRecord,
+        pruneUploadSessions,
+        pruneStagedBlobs,
+        notifyProgress
+    };
+})();
+
+// Persistent upload queue: waiting items live in storage in order, running ones in UploadManager
+const UploadQueue = (() => {
+    const DEFAULT_CONCURRENCY = 2;
+    const MAX_CONCURRENCY = 5;
+
+    // Tokens passed at enqueue time, used if the stored authToken is missing
+    const enqueueTokens = new Map();
+    let pumpChain = Promise.resolve();
+
+    async function getQueue() {
+        const { uploadQueue = [] } = await chrome.storage.local.get(['uploadQueue']);
+        return Array.isArray(uploadQueue) ? uploadQueue : [];
+    }
+
+    // change(queue) returns the new queue, or null to leave it as it is
+    async function updateQueue(change) {
+        const changes = await SharedStorage.update(['uploadQueue'], ({ uploadQueue = [] }) => {
+            const updated = change(Array.isArray(uploadQueue) ? uploadQueue : []);
+            return updated ? { uploadQueue: updated } : null;
+        });
+        if (changes) {
+            chrome.runtime.sendMessage({ action: 'uploadQueueChanged' }).catch(() => {});
+        }
+    }
+
+    async function getConcurrency() {
+        const { uploadSettings = {} } = await chrome.storage.local.get(['uploadSettings']);
+        const value = Number(uploadSettings.maxConcurrentUploads);
+        return Number.isInteger(value) && value >= 1 ? Math.min(value, MAX_CONCURRENCY) : DEFAULT_CONCURRENCY;
+    }
+
+    async function setConcurrency(value) {
+        const limit = Math.round(Number(value));
+        if (!Number.isFinite(limit) || limit < 1 || limit > MAX_CONCURRENCY) {
+            return { success: false, message: `Concurrency must be between 1 and ${MAX_CONCURRENCY}` };
+        }
+        const { uploadSettings = {} } = await chrome.storage.local.get(['uploadSettings']);
+        await chrome.storage.local.set({ uploadSettings: { ...uploadSettings, maxConcurrentUploads: limit } });
+        pump();
+        return { success: true, maxConcurrentUploads: limit };
+    }
+
+    // Serialize queue scheduling so two finishing uploads cannot start the same item
+    function pump() {
+        pumpChain = pumpChain.then(startNext).catch(error => {
+            SecurityManager.logSecurity('upload_queue_error', { error: error.message });
+        });
+        return pumpChain;
+    }
+
+    // Entries with a url are links still to be downloaded; a download takes a slot like an upload does
+    async function startNext() {
+        const limit = await getConcurrency();
+        while (UploadManager.activeCount() + UrlImport.activeCount() < limit) {
+            let next = null;
+            await updateQueue(queue => {
+                next = queue.find(item => !item.paused) || null;
+                return next ? queue.filter(item => item.id !== next.id) : null;
+            });
+            if (!next) break;
+
+            const { authToken } = await chrome.storage.local.get(['authToken']);
+            const token = authToken || enqueueTokens.get(next.id);
+            const run = next.url
+                ? UrlImport.download(next.id, next.url, next.filename, token)
+                : UploadManager.runUpload({ id: next.id, filename: next.filename, token });
+            run.finally(() => {
+                if (!next.url) enqueueTokens.delete(next.id);
+                pump();
+            });
+        }
+    }
+
+    async function enqueue({ id, filename, sourceVideo, batchId, token, audio, confirmation }) {
+        const blob = await BlobStore.get(id).catch(() => null);
+        if (!(blob instanceof Blob)) {
+            return { success: false, message: 'Missing file data' };
+        }
+        if (token) {
+            enqueueTokens.set(id, token);
+        }
+        // The popup could not tell whether the file is a video; it is uploaded whole once the user confirms
+        const waiting = confirmation?.videoUnknown === true ? { videoUnknown: true } : null;
+        await UploadManager.createQueuedRecord({ id, filename, sourceVideo, batchId, audio, confirmation: waiting });
+        await append(id, filename, undefined, { paused: Boolean(waiting) });
+        await RecordingManager.clearPending(id);
+        return { success: true, id, queued: true };
+    }
+
+    // Queue a staged file whose record already exists; first puts it ahead of everything else
+    async function append(id, filename, token, { paused = false, first = false } = {}) {
+        if (token) {
+            enqueueTokens.set(id, token);
+        }
+        const entry = { id, filename, paused, addedAt: Date.now() };
+        await updateQueue(queue => first ? [entry, ...queue] : [...queue, entry]);
+        pump();
+    }
+
+    // Queue a link to download; the download queues the file itself once it is checked
+    async function appendDownload(id, filename, url, token) {
+        if (token) {
+            enqueueTokens.set(id, token);
+        }
+        await updateQueue(queue => [...queue, { id, filename, url, paused: false, addedAt: Date.now() }]);
+        pump();
+    }
+
+    async function pause(id) {
+        let queued = false;
+        await updateQueue(queue => {
+            queued = queue.some(entry => entry.id === id);
+            return queued ? queue.map(entry => entry.id === id ? { ...entry, paused: true } : entry) : null;
+        });
+        if (!queued) {
+            const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+            const record = transcripts.find(t => t.id === id);
+            // Once the bytes are on the server, pausing would only throw work away or send the file twice
+            if (!record || record.stage !== 'uploading' || !await UploadManager.isPausable(id)) {
+                return { success: false, message: 'Only queued items and uploads sent in parts can be paused' };
+            }
+            UploadManager.pauseUpload(id);
+            await updateQueue(queue => [
+                { id, filename: record.filename, paused: true, addedAt: Date.now() },
+                ...queue.filter(entry => entry.id !== id)
+            ]);
+        }
+        await UploadManager.patchTranscriptRecord(id, { status: 'paused', stage: null });
+        UploadManager.notifyProgress({ id, status: 'paused' });
+        pump();
+        return { success: true };
+    }
+
+    async function resume(id) {
+        let paused = false;
+        await updateQueue(queue => {
+            paused = queue.some(entry => entry.id === id && entry.paused);
+            return paused ? queue.map(entry => entry.id === id ? { ...entry, paused: false } : entry) : null;
+        });
+        if (!paused) {
+            return { success: false, message: 'Item is not paused' };
+        }
+        // Resuming a download or file that waited for confirmation is the confirmation
+        await UploadManager.patchTranscriptRecord(id, { status: 'queued', confirmation: null });
+        UploadManager.notifyProgress({ id, status: 'queued' });
+        pump();
+        return { success: true };
+    }
+
+    async function move(id, direction) {
+        let moved = false;
+        await updateQueue(queue => {
+            const index = queue.findIndex(entry => entry.id === id);
+            const target = direction === 'up' ? index - 1 : index + 1;
+            if (index === -1 || target < 0 || target >= queue.length) return null;
+            const updated = queue.slice();
+            [updated[index], updated[target]] = [updated[target], updated[index]];
+            moved = true;
+            return updated;
+        });
+        return moved ? { success: true } : { success: false, message: 'Cannot move item' };
+    }
+
+    // Put a failed upload back at the end of the queue using its staged blob
+    async function retry(id) {
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        const record = transcripts.find(t => t.id === id);
+        if (!record || record.status !== 'error') {
+            return { success: false, message: 'Only failed uploads can be retried' };
+        }
+        const blob = await BlobStore.get(id).catch(() => null);
+        if (!(blob instanceof Blob)) {
+            // A link can simply be downloaded again
+            if (record.sourceUrl) {
+                return await UrlImport.redownload(record);
+            }
+            await UploadManager.patchTranscriptRecord(id, { fileAvailable: false });
+            return { success: false, message: 'The original file is no longer available. Please upload it again.' };
+        }
+        await UploadManager.patchTranscriptRecord(id, { status: 'queued', error: null, errorKind: null, retry: null, stage: null, progress: null });
+        UploadManager.notifyProgress({ id, status: 'queued' });
+        await updateQueue(queue => [...queue, { id, filename: record.filename, paused: false, addedAt: Date.now() }]);
+        pump();
+        return { success: true };
+    }
+
+    async function cancel(id) {
+        UrlImport.abort(id);
+        await updateQueue(queue => queue.some(entry => entry.id === id) ? queue.filter(entry => entry.id !== id) : null);
+        const result = await UploadManager.cancelUpload(id);
+        pump();
+        return result;
+    }
+
+    // Rebuild the queue after a worker or browser restart: interrupted uploads go back to the front
+    async function recover() {
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        const queue = await getQueue();
+        const recovered = [];
+
+        // Records with a jobId are already on the server and belong to JobPoller
+        for (const record of transcripts.filter(t => t.status === 'pending' && !t.jobId && !UploadManager.isUploading(t.id))) {
+            recovered.push({ id: record.id, filename: record.filename, paused: false, addedAt: Date.now() });
+        }
+        // Queued or paused records that lost their queue entry go to the back of the queue
+        const orphaned = transcripts
+            .filter(t => ['queued', 'paused'].includes(t.status) && !queue.some(item => item.id === t.id))
+            .reverse()
+            .map(record => ({ id: record.id, filename: record.filename, paused: record.status === 'paused', addedAt: Date.now() }));
+        const candidates = [...recovered.reverse(), ...queue.filter(item => !recovered.some(r => r.id === item.id)), ...orphaned];
+
+        const restored = [];
+        for (const item of candidates) {
+            const record = transcripts.find(t => t.id === item.id);
+            if (!record) continue;
+            const blob = item.url ? null : await BlobStore.get(item.id).catch(() => null);
+            // A link whose download was interrupted is downloaded again
+            if (!(blob instanceof Blob) && !item.url && !record.sourceUrl) {
+                await UploadManager.failRecord(item.id, record.filename, 'Upload interrupted. Please upload the file again.');
+                continue;
+            }
+            if (record.status === 'pending') {
+                console.log('[Queue] Re-queueing interrupted upload', { id: item.id });
+                await UploadManager.patchTranscriptRecord(item.id, { status: 'queued', stage: null });
+            }
+            restored.push(blob instanceof Blob || item.url ? item : { ...item, url: record.sourceUrl });
+        }
+        // Anything queued while this ran stays behind the recovered items
+        await updateQueue(queue => [...restored, ...queue.filter(item => !candidates.some(candidate => candidate.id === item.id))]);
+        await UploadManager.pruneUploadSessions(transcripts);
+        await UploadManager.pruneStagedBlobs(transcripts).catch(error => {
+            console.warn('[Queue] Staging cleanup failed', error);
+        });
+        pump();
+    }
+
+    async function getState() {
+        const queue = await getQueue();
+        return {
+            queue: queue.map(item => item.id),
+            maxConcurrentUploads: await getConcurrency()
+        };
+    }
+
+    return { enqueue, append, appendDownload, pause, resume, move, retry, cancel, setConcurrency, recover, getState };
+})();
+
+// Transcribing from a link: the worker downloads the file into BlobStore, checks it with the same rules as a
+// picked file (size, content type, magic bytes) and queues it. The record keeps the link as sourceUrl.
+const UrlImport = (() => {
+    const KEEPALIVE_INTERVAL_MS = 20000;
+    const PROGRESS_INTERVAL_MS = 500;
+    // Downloads running in this worker: id -> AbortController
+    const downloads = new Map();
+    let keepAliveTimer = null;
+
+    function updateKeepAlive() {
+        if (downloads.size > 0 && !keepAliveTimer) {
+            keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(() => {}), KEEPALIVE_INTERVAL_MS);
+        } else if (downloads.size === 0 && keepAliveTimer) {
+            clearInterval(keepAliveTimer);
+            keepAliveTimer = null;
+        }
+    }
+
+    function parseUrl(value) {
+        try {
+            const url = new URL(String(value || '').trim());
+            return ['http:', 'https:'].includes(url.protocol) ? url : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    // Last path segment, or the host for links like https://example.com/?id=42
+    function filenameFromUrl(url) {
+        let name = '';
+        try {
+            name = decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+        } catch (_) {
+            name = url.pathname.split('/').filter(Boolean).pop() || '';
+        }
+        return (name.replace(/[\\/:*?"<>|]+/g, ' ').trim() || url.hostname).slice(0, 255);
+    }
+
+    // notify: show a system notification when the transcript is ready or has failed
+    async function start({ url, token, notify = false }) {
+        const parsed = parseUrl(url);
+        if (!parsed) {
+            return { success: false, message: 'Please enter an http or https link to an audio file.' };
+        }
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const filename = filenameFromUrl(parsed);
+        await UploadManager.createQueuedRecord({ id, filename, sourceUrl: parsed.href });
+        if (notify) {
+            await UploadManager.patchTranscriptRecord(id, { notifyOnFinish: true });
+        }
+        // Downloads wait their turn in the upload queue like files do
+        await UploadQueue.appendDownload(id, filename, parsed.href, token);
+        return { success: true, id };
+    }
+
+    async function redownload(record) {
+        const parsed = parseUrl(record.sourceUrl);
+        if (!parsed) {
+            return { success: false, message: 'The link of this file is not valid.' };
+        }
+        await UploadManager.patchTranscriptRecord(record.id, { status: 'queued', stage: null, error: null, errorKind: null, retry: null, progress: null });
+        UploadManager.notifyProgress({ id: record.id, status: 'queued' });
+        await UploadQueue.appendDownload(record.id, record.filename, parsed.href);
+        return { success: true };
+    }
+
+    // The queue starts this when the download's turn comes; it resolves once the file is queued for upload or has failed.
+    // Files from links skip the popup, so the cost check happens here: a download whose cost is unknown or above the
+    // profile's limit, or that is a video (uploaded whole), waits paused until the user confirms it in the popup.
+    async function download(id, href, filename, token) {
+        const url = parseUrl(href);
+        if (!url) {
+            await UploadManager.failRecord(id, filename, 'The link of this file is not valid.');
+            return;
+        }
+        const controller = new AbortController();
+        downloads.set(id, controller);
+        updateKeepAlive();
+        await UploadManager.patchTranscriptRecord(id, { status: 'pending', stage: 'downloading', progress: null });
+        UploadManager.notifyProgress({ id, status: 'pending', stage: 'downloading' });
+        try {
+            // A retried download starts over
+            await BlobStore.delete(id).catch(() => {});
+            let response;
+            try {
+                // Cookies go along, for files on intranet servers behind a login
+                response = await fetch(url.href, { signal: controller.signal, credentials: 'include' });
+            } catch (fetchError) {
+                if (controller.signal.aborted) throw fetchError;
+                throw new Error('Could not download the file. Check the link, and that the extension may access this site.');
+            }
+            if (!response.ok) {
+                throw new Error(`Could not download the file: the server answered ${response.status} ${response.statusText}`.trim());
+            }
+            const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            AudioFormats.checkContentType(type, filename);
+            const totalBytes = Number(response.headers.get('content-length')) || 0;
+            const maxMb = Math.round(AudioFormats.MAX_FILE_SIZE / (1024 * 1024));
+            if (totalBytes > AudioFormats.MAX_FILE_SIZE) {
+                throw new Error(`"${filename}" is too large. Please use a file smaller than ${maxMb}MB.`);
+            }
+
+            const startedAt = Date.now();
+            let lastReport = 0;
+            try {
+                await BlobStore.stageStream(id, response.body, {
+                    type,
+                    maxSize: AudioFormats.MAX_FILE_SIZE,
+                    signal: controller.signal,
+                    onProgress: (bytesSent) => {
+                        if (Date.now() - lastReport < PROGRESS_INTERVAL_MS) return;
+                        lastReport = Date.now();
+                        const bytesPerSecond = bytesSent / Math.max(0.001, (Date.now() - startedAt) / 1000);
+                        UploadManager.notifyProgress({
+                            id,
+                            status: 'pending',
+                            stage: 'downloading',
+                            progress: {
+                                bytesSent,
+                                totalBytes,
+                                percent: totalBytes > 0 ? Math.min(100, Math.round((bytesSent / totalBytes) * 100)) : 0,
+                                bytesPerSecond,
+                                etaSeconds: totalBytes > 0 && bytesPerSecond > 0 ? (totalBytes - bytesSent) / bytesPerSecond : null
+                            }
+                        });
+                    }
+                });
+            } catch (stageError) {
+                if (stageError instanceof RangeError) {
+                    throw new Error(`"${filename}" is too large. Please use a file smaller than ${maxMb}MB.`);
+                }
+                throw stageError;
+            }
+
+            // The same checks as a picked file; the name gets the real extension, which servers go by
+            const blob = await BlobStore.get(id);
+            const file = new File([blob], filename, { type });
+            const { format, sampleRate, channels } = await AudioFormats.checkContents(file);
+            const uploadName = AudioFormats.byExtension(filename) === format ? filename : `${filename}.${format.extensions[0]}`;
+
+            const duration = await AudioFormats.readDuration(file, format);
+            const profile = await ConfigStore.getActiveProfile();
+            const estimate = duration ? ConfigStore.estimateCost(profile, duration) : null;
+            const video = type.startsWith('video/') || format.id === 'mov';
+            const costUnknown = !estimate && profile.confirmAboveTokens > 0;
+            const needsConfirmation = video || costUnknown || Boolean(estimate && profile.confirmAboveTokens > 0 && estimate.tokens > profile.confirmAboveTokens);
+            const audio = UploadManager.sanitizeAudioInfo({
+                format: format.id,
+                duration,
+                sampleRate,
+                channels,
+                estimatedTokens: estimate?.tokens,
+                estimatedSeconds: estimate?.processingSeconds,
+                originalSize: blob.size,
+                uploadSize: blob.size
+            });
+            await UploadManager.patchTranscriptRecord(id, {
+                status: needsConfirmation ? 'paused' : 'queued',
+                stage: null,
+                progress: null,
+                filename: uploadName,
+                ...audio,
+                confirmation: needsConfirmation ? { video, costUnknown } : null
+            });
+            UploadManager.notifyProgress({ id, status: needsConfirmation ? 'paused' : 'queued' });
+            // It has already waited its turn once
+            await UploadQueue.append(id, uploadName, token, { paused: needsConfirmation, first: true });
+            if (needsConfirmation) {
+                await Notifier.awaitingConfirmation(id).catch(() => {});
+            }
+        } catch (error) {
+            // A cancelled download has already been marked by UploadManager.cancelUpload
+            if (controller.signal.aborted) return;
+            console.warn('[UrlImport] Download failed', { id, error: error.message });
+            await UploadManager.failRecord(id, filename, error.message);
+        } finally {
+            downloads.delete(id);
+            updateKeepAlive();
+            // cancelUpload may have deleted the entry while a part was still being written
+            if (controller.signal.aborted) {
+                await BlobStore.delete(id).catch(() => {});
+            }
+        }
+    }
+
+    function abort(id) {
+        downloads.get(id)?.abort();
+    }
+
+    function activeCount() {
+        return downloads.size;
+    }
+
+    return { start, redownload, download, abort, activeCount };
+})();
+
+// Server-side transcription jobs, polled with chrome.alarms so they survive worker shutdowns
+const JobPoller = (() => {
+    const ALARM_NAME = 'open-audioai-job-poll';
+    const POLL_PERIOD_MINUTES = 0.5; // Chrome's minimum alarm period
+    const QUICK_POLL_MS = 5000;
+    const MAX_POLL_FAILURES = 20;
+
+    let polling = null;
+    // Live WebSocket streams for jobs while this worker is awake: id -> WebSocket
+    const sockets = new Map();
+
+    // pendingJobs, keyed by record id: { jobId, filename, profileId, failures, trackedAt }
+    async function getJobs() {
+        const { pendingJobs = {} } = await chrome.storage.local.get(['pendingJobs']);
+        return pendingJobs;
+    }
+
+    // change(pendingJobs) edits the jobs in place and returns false to write nothing; resolves the jobs as written
+    async function updateJobs(change) {
+        let jobs = {};
+        await SharedStorage.update(['pendingJobs'], ({ pendingJobs = {} }) => {
+            jobs = { ...pendingJobs };
+            return change(jobs) === false ? null : { pendingJobs: jobs };
+        });
+        return jobs;
+    }
+
+    async function ensureAlarm() {
+        const existing = await chrome.alarms.get(ALARM_NAME);
+        if (!existing) {
+            await chrome.alarms.create(ALARM_NAME, { periodInMinutes: POLL_PERIOD_MINUTES });
+        }
+    }
+
+    async function track({ id, filename, jobId, stage, streamUrl, profileId }) {
+        await updateJobs(jobs => {
+            jobs[id] = { jobId, filename, profileId, failures: 0, trackedAt: Date.now() };
+        });
+        await UploadManager.patchTranscriptRecord(id, { status: 'pending', stage: stage || 'queued', progress: null, jobId });
+        UploadManager.notifyProgress({ id, status: 'pending', stage: stage || 'queued' });
+        await ensureAlarm();
+        if (streamUrl) {
+            const profile = (await ConfigStore.getProfile(profileId)) || await ConfigStore.getActiveProfile();
+            openStream(id, filename, streamUrl, profile.baseUrl);
+        }
+        // The alarm is the safety net; poll sooner while the worker is still awake
+        setTimeout(() => pollAll(), QUICK_POLL_MS);
+    }
+
+    // Partial segments over WebSocket; polling stays the source of truth if the socket drops.
+    // Browsers cannot set headers on WebSockets, so stream_url must carry its own short-lived authorization.
+    function openStream(id, filename, streamUrl, baseUrl) {
+        let socket;
+        try {
+            const url = new URL(streamUrl, baseUrl);
+            const server = new URL(baseUrl);
+            if (!['ws:', 'wss:'].includes(url.protocol) || url.hostname !== server.hostname) {
+                SecurityManager.logSecurity('job_stream_rejected', { streamUrl });
+                return;
+            }
+            socket = new WebSocket(url.href);
+        } catch (error) {
+            console.warn('[Jobs] Stream unavailable', { id, error: error.message });
+            return;
+        }
+
+        const partial = UploadManager.createPartialTranscript(id);
+        sockets.set(id, socket);
+        // Messages are handled one at a time and in order, so segments are saved in order and
+        // only one message can finish the job
+        let handling = Promise.resolve();
+        const handleMessage = async (event) => {
+            try {
+                const message = JSON.parse(event.data);
+                const result = await partial.handle(message.type, message);
+                if (result && await claim(id)) {
+                    await UploadManager.completeUpload(id, filename, result);
+                }
+            } catch (error) {
+                if (error instanceof UploadError && await claim(id)) {
+                    await UploadManager.failUpload(id, filename, error);
+                }
+            }
+        };
+        socket.onmessage = (event) => {
+            handling = handling.then(() => handleMessage(event)).catch(() => {});
+        };
+        socket.onclose = () => {
+            sockets.delete(id);
+            handling = handling.then(() => partial.flush()).catch(() => {});
+        };
+    }
+
+    // Resolves whether the job was still tracked
+    async function untrack(id) {
+        const socket = sockets.get(id);
+        if (socket) {
+            sockets.delete(id);
+            socket.close();
+        }
+        let removed = false;
+        const jobs = await updateJobs(current => {
+            if (!current[id]) return false;
+            delete current[id];
+            removed = true;
+        });
+        if (Object.keys(jobs).length === 0) {
+            await chrome.alarms.clear(ALARM_NAME);
+        }
+        return removed;
+    }
+
+    // Stop tracking a finished job; true if its result should still be applied. The user may have
+    // cancelled, or the stream or another poll finished it, while this request was in flight.
+    async function claim(id) {
+        if (!await untrack(id)) return false;
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        return transcripts.find(t => t.id === id)?.status === 'pending';
+    }
+
+    // GET /jobs/{id} -> { status: 'queued' | 'processing' | 'completed' | 'failed' | 'cancelled', stage?, transcript?, words?, message?, code? }
+    async function pollJob(id, job, token) {
+        // A stream may have finished the job since pollAll read the list
+        if (!(await getJobs())[id]) return;
+        const client = await getServerClient(job.profileId, token);
+        let response;
+        try {
+            response = await client.request(`/jobs/${encodeURIComponent(job.jobId)}`, { method: 'GET' });
+        } catch (error) {
+            return recordFailure(id, job, UploadError.from(error));
+        }
+        const json = await response.json().catch(() => null);
+
+        if (response.status === 404) {
+            if (!await claim(id)) return;
+            await UploadManager.failUpload(id, job.filename, new UploadError('The transcription job no longer exists on the server.', { kind: 'rejected', status: 404 }));
+            return;
+        }
+        if (!response.ok || !json) {
+            const error = response.ok ? new UploadError('Invalid job status response.', { kind: 'server' }) : UploadError.fromResponse(response, json);
+            if (!error.retryable) {
+                if (await claim(id)) await UploadManager.failUpload(id, job.filename, error);
+                return;
+            }
+            return recordFailure(id, job, error);
+        }
+
+        const status = String(json.status || '').toLowerCase();
+        const finished = status === 'completed' || status === 'failed' || status === 'cancelled' || [1, 2].includes(Number(json.code));
+        if (finished && !await claim(id)) return;
+        if (status === 'completed' || Number(json.code) === 1) {
+            await UploadManager.completeUpload(id, job.filename, {
+                transcript: json.transcript || '',
+                segments: Array.isArray(json.segments) ? json.segments : [],
+                words: Array.isArray(json.words) ? json.words : [],
+                language: json.language
+            });
+        } else if (status === 'failed' || Number(json.code) === 2) {
+            const kind = Number(json.code) === 2 ? 'insufficient_tokens' : 'rejected';
+            await UploadManager.failUpload(id, job.filename, new UploadError(json.message || 'Transcription failed', { kind }));
+        } else if (status === 'cancelled') {
+            await BlobStore.delete(id).catch(() => {});
+            await UploadManager.patchTranscriptRecord(id, { status: 'cancelled', stage: null, cancelledAt: Date.now() });
+            UploadManager.notifyProgress({ id, status: 'cancelled' });
+        } else {
+            const stage = json.stage || (status === 'processing' ? 'transcribing' : 'queued');
+            await updateJobs(jobs => {
+                if (!jobs[id]) return false;
+                jobs[id] = { ...jobs[id], failures: 0 };
+            });
+            await UploadManager.patchTranscriptRecord(id, { stage });
+            UploadManager.notifyProgress({ id, status: 'pending', stage });
+        }
+    }
+
+    // Transient poll failures are tolerated for a while before the record is failed
+    async function recordFailure(id, job, error) {
+        let failures = 0;
+        await updateJobs(jobs => {
+            if (!jobs[id]) return false;
+            failures = (jobs[id].failures || 0) + 1;
+            jobs[id] = { ...jobs[id], failures };
+        });
+        if (failures >= MAX_POLL_FAILURES && await claim(id)) {
+            await UploadManager.failUpload(id, job.filename, error);
+        }
+    }
+
+    function pollAll() {
+        if (!polling) {
+            polling = (async () => {
+                const jobs = await getJobs();
+                const ids = Object.keys(jobs);
+                if (ids.length === 0) {
+                    await chrome.alarms.clear(ALARM_NAME);
+                    return;
+                }
+                await ensureAlarm();
+                const { authToken } = await chrome.storage.local.get(['authToken']);
+                for (const id of ids) {
+                    await pollJob(id, jobs[id], authToken).catch(error => {
+                        console.warn('[Jobs] Poll failed', { id, error: error.message });
+                    });
+                }
+            })().finally(() => {
+                polling = null;
+            });
+        }
+        return polling;
+    }
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === ALARM_NAME) {
+            migrated.then(() => pollAll()).catch(error => {
+                SecurityManager.logSecurity('job_poll_failed', { error: error.message });
+            });
+        }
+    });
+
+    return { track, untrack, pollAll };
+})();
+
+// Recording runs in an offscreen document (offscreen.html), which lives only while a recording does.
+// The popup sends commands through here; the offscreen document reports its state to the popup directly
+// and status changes to us for the badge.
+const RecordingManager = (() => {
+    const OFFSCREEN_URL = 'offscreen.html';
+    const COMMANDS = ['start', 'pause', 'resume', 'stop', 'status'];
+    const SOURCES = ['microphone', 'tab'];
+    const BADGES = {
+        recording: { text: 'REC', color: '#e53e3e' },
+        paused: { text: '❚❚', color: '#718096' }
+    };
+    let creating = null;
+
+    async function hasDocument() {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+        });
+        return contexts.length > 0;
+    }
+
+    async function ensureDocument() {
+        if (await hasDocument()) return;
+        if (!creating) {
+            creating = chrome.offscreen.createDocument({
+                url: OFFSCREEN_URL,
+                reasons: ['USER_MEDIA'],
+                justification: 'Recording microphone or tab audio with MediaRecorder for transcription'
+            }).finally(() => {
+                creating = null;
+            });
+        }
+        await creating;
+    }
+
+    async function closeDocument() {
+        if (await hasDocument()) {
+            await chrome.offscreen.closeDocument().catch(() => {});
+        }
+    }
+
+    function updateBadge(state) {
+        const badge = BADGES[state?.status];
+        chrome.action.setBadgeText({ text: badge ? badge.text : '' }).catch(() => {});
+        if (badge) {
+            chrome.action.setBadgeBackgroundColor({ color: badge.color }).catch(() => {});
+        }
+    }
+
+    // Only what the recorder needs; the stream id comes from chrome.tabCapture in the popup
+    function startOptions(options) {
+        return {
+            source: SOURCES.includes(options?.source) ? options.source : 'microphone',
+            streamId: typeof options?.streamId === 'string' ? options.streamId : null,
+            includeMicrophone: options?.includeMicrophone === true,
+            title: typeof options?.title === 'string' ? options.title.slice(0, 200) : ''
+        };
+    }
+
+    async function command(action, options) {
+        if (!COMMANDS.includes(action)) {
+            return { success: false, message: 'Unknown recording command' };
+        }
+        if (action === 'start') {
+            options = startOptions(options);
+            if (options.source === 'tab' && !options.streamId) {
+                return { success: false, message: 'No tab to record' };
+            }
+            await ensureDocument();
+        } else if (!(await hasDocument())) {
+            updateBadge(null);
+            return action === 'status'
+                ? { success: true, state: { status: 'idle', source: null, elapsed: 0, level: 0 } }
+                : { success: false, message: 'Nothing is being recorded.' };
+        }
+        const response = await chrome.runtime.sendMessage({ target: 'offscreen', action, data: options });
+        // The document holds the microphone and the tab capture; close it as soon as it is not recording
+        if (action === 'stop' || (action === 'start' && !response?.success)) {
+            await closeDocument();
+        }
+        if (action === 'stop' && response?.success) {
+            await keepPending(response.recording);
+        }
+        return response || { success: false, message: 'The recorder did not respond' };
+    }
+
+    // A stopped recording stays staged under its id until it is queued or discarded, so closing the popup
+    // before then does not lose it; the popup offers it again when it opens
+    async function keepPending(recording) {
+        await chrome.storage.local.set({ pendingRecording: { ...recording, stoppedAt: Date.now() } });
+    }
+
+    async function getPending() {
+        const { pendingRecording } = await chrome.storage.local.get(['pendingRecording']);
+        return pendingRecording || null;
+    }
+
+    // Called once the recording is queued, under this id or as a converted copy
+    async function clearPending(id) {
+        if ((await getPending())?.id === id) {
+            await chrome.storage.local.remove('pendingRecording');
+        }
+    }
+
+    async function discardPending(id) {
+        if ((await getPending())?.id !== id) {
+            return { success: false, message: 'No such recording' };
+        }
+        await chrome.storage.local.remove('pendingRecording');
+        await BlobStore.delete(id).catch(() => {});
+        return { success: true };
+    }
+
+    // The captured tab was closed: the recorder stopped on its own. Nothing is uploaded without the popup's
+    // checks and cost confirmation, so the recording waits there until the user transcribes or discards it.
+    async function finishUnattended(result) {
+        await closeDocument();
+        updateBadge(null);
+        if (!result?.success) {
+            console.warn('[Recording] Tab recording ended without audio', { message: result?.message });
+            return { success: false };
+        }
+        await keepPending(result.recording);
+        chrome.runtime.sendMessage({ action: 'pendingRecordingChanged', data: result.recording }).catch(() => {});
+        const { authToken } = await chrome.storage.local.get(['authToken']);
+        await Notifier.show(`recording-${result.recording.id}`, 'Tab recording saved',
+            authToken
+                ? 'The recorded tab was closed. Open Open AudioAi to transcribe the recording.'
+                : 'The recorded tab was closed. Sign in to Open AudioAi to transcribe the recording.'
+        ).catch(() => {});
+        return { success: true, pending: true };
+    }
+
+    return { command, updateBadge, finishUnattended, getPending, clearPending, discardPending };
+})();
+
+// System notifications for transcripts started outside the popup (context menu), which has no other way to report back
+const Notifier = (() => {
+    const ICON_URL = 'icons/icon128.png';
+
+    function show(id, title, message) {
+        return chrome.notifications.create(id, { type: 'basic', iconUrl: ICON_URL, title, message: message.slice(0, 300) });
+    }
+
+    async function finished(id) {
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        const record = transcripts.find(t => t.id === id);
+        if (!record?.notifyOnFinish) return;
+        if (record.status === 'success') {
+            await show(id, 'Transcript ready', `${record.filename} has been transcribed. Click to open Open AudioAi.`);
+        } else if (record.status === 'error') {
+            await show(id, 'Transcription failed', `${record.filename}: ${record.error || 'Unknown error'}`);
+        }
+    }
+
+    // A link from the context menu waits for the user to confirm its cost in the popup
+    async function awaitingConfirmation(id) {
+        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+        const record = transcripts.find(t => t.id === id);
+        if (!record?.notifyOnFinish) return;
+        await show(id, 'Confirm to transcribe', `${record.filename} is downloaded. Open Open AudioAi to check it and start the transcription.`);
+    }
+
+    chrome.notifications.onClicked.addListener((notificationId) => {
+        chrome.notifications.clear(notificationId);
+        chrome.action.openPopup().catch(() => {});
+    });
+
+    return { show, finished, awaitingConfirmation };
+})();
+
+// "Transcribe with Open AudioAi" on <audio>/<video> elements and on links to audio files
+const ContextMenu = (() => {
+    const MENU_ID = 'open-audioai-transcribe';
+
+    // Links are offered the menu only when they end in a known audio or video extension
+    function linkPatterns() {
+        return AudioFormats.FORMATS.flatMap(format => format.extensions)
+            .flatMap(ext => [`*://*/*.${ext}`, `*://*/*.${ext}?*`]);
+    }
+
+    function register() {
+        chrome.contextMenus.removeAll(() => {
+            chrome.contextMenus.create({ id: MENU_ID, title: 'Transcribe with Open AudioAi', contexts: ['audio', 'video'] });
+            chrome.contextMenus.create({
+                id: `${MENU_ID}-link`,
+                title: 'Transcribe with Open AudioAi',
+                contexts: ['link'],
+                targetUrlPatterns: linkPatterns()
+            });
+        });
+    }
+
+    // Resolves { success, message? }; failures are also shown as a notification
+    async function transcribe(url) {
+        const fail = async (message) => {
+            await Notifier.show(`context-menu-${Date.now()}`, 'Transcription not started', message);
+            return { success: false, message };
+        };
+        if (!(await chrome.permissions.contains({ origins: [ConfigStore.originPattern(url)] }))) {
+            return await fail('Open AudioAi needs access to the site the file is on.');
+        }
+        const { authToken } = await chrome.storage.local.get(['authToken']);
+        if (!authToken) {
+            return await fail('Sign in to Open AudioAi first.');
+        }
+        const result = await UrlImport.start({ url, token: authToken, notify: true });
+        if (!result.success) {
+            return await fail(result.message);
+        }
+        await Notifier.show(result.id, 'Transcribing', 'The file is being downloaded and queued. You will be notified when the transcript is ready.');
+        return { success: true };
+    }
+
+    // The worker has no user gesture for chrome.permissions.request; a small extension page asks on a click instead
+    async function askForAccess(url) {
+        await chrome.windows.create({
+            url: chrome.runtime.getURL(`link-permission.html?url=${encodeURIComponent(url)}`),
+            type: 'popup',
+            width: 420,
+            height: 260
+        });
+    }
+
+    chrome.contextMenus.onClicked.addListener((info) => {
+        if (![MENU_ID, `${MENU_ID}-link`].includes(info.menuItemId)) return;
+        const url = info.srcUrl || info.linkUrl || '';
+        // Streamed media (blob: or data: URLs) cannot be downloaded again
+        if (!/^https?:\/\/[^/]/i.test(url)) {
+            Notifier.show(`context-menu-${Date.now()}`, 'Transcription not started', 'This media is streamed by the page and cannot be downloaded. Try recording the tab instead.');
+            return;
+        }
+        chrome.permissions.contains({ origins: [ConfigStore.originPattern(url)] })
+            .then(granted => granted ? transcribe(url) : askForAccess(url))
+            .catch(error => {
+                SecurityManager.logSecurity('context_menu_transcribe_failed', { error: error.message });
+            });
+    });
+
+    return { register, transcribe };
+})();
+
+chrome.runtime.onInstalled.addListener(() => ContextMenu.register());
+
+migrated.then(() => UploadQueue.recover()).catch(error => {
+    SecurityManager.logSecurity('upload_queue_recover_failed', { error: error.message });
+});
+
+migrated.then(() => JobPoller.pollAll()).catch(error => {
+    SecurityManager.logSecurity('job_poll_failed', { error: error.message });
+});
+
+// Message handling with security validation
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // Messages between the offscreen recorder and the popup are not for the worker
+    if (request?.target && request.target !== 'background') return;
+
+    // Security validation
+    if (!SecurityManager.validateRequest(request, sender)) {
+        sendResponse({ error: 'Unauthorized request' });
+        return;
+    }
+    
+    // Handle async operations, once stored records are in the current schema
+    migrated.then(() => handleMessage(request, sender))
+        .then(response => sendResponse(response))
+        .catch(error => {
+            SecurityManager.logSecurity('message_handling_error', { 
+                error: error.message, 
+                request: request.action 
+            });
+            sendResponse({ error: 'Internal error' });
+        });
+    
+    return true; // Keep message channel open for async response
+});
+
+async function handleMessage(request, sender) {
+    const { action, data } = request;
+    
+    switch (action) {
+        case 'validateAuth':
+            return await handleAuthValidation(data);
+            
+        case 'refreshToken':
+            return await handleTokenRefresh(data);
+            
+        case 'logSecurityEvent':
+            SecurityManager.logSecurity(data.event, data.details);
+            return { success: true };
+            
+        case 'checkApiHealth':
+            return await checkApiHealth(data?.profile);
+
+        case 'signOut':
+            return await handleSignOut();
+            
+        case 'enqueueUpload': {
+            // The popup stages the File in BlobStore under `id` and sends only the handle
+            const { id, filename, sourceVideo, batchId, token, audio, confirmation } = data || {};
+            if (typeof id !== 'string' || !/^[\w-]{1,64}$/.test(id) || !filename) {
+                return { success: false, message: 'Missing file data' };
+            }
+            return await UploadQueue.enqueue({ id, filename, sourceVideo, batchId, token, audio, confirmation });
+        }
+        case 'enqueueUrl':
+            return await UrlImport.start({ url: data?.url, token: data?.token });
+
+        case 'recordingCommand':
+            return await RecordingManager.command(data?.command, data?.options);
+
+        case 'recordingStateChanged':
+            RecordingManager.updateBadge(data);
+            return { success: true };
+
+        case 'recordingFinished':
+            return await RecordingManager.finishUnattended(data);
+
+        case 'discardRecording':
+            return await RecordingManager.discardPending(data?.id);
+
+        // From link-permission.html, once the user granted access to the link's site
+        case 'transcribeLink':
+            if (!/^https?:\/\/[^/]/i.test(data?.url || '')) {
+                return { success: false, message: 'This link cannot be transcribed.' };
+            }
+            return await ContextMenu.transcribe(data.url);
+
+        case 'pauseUpload':
+        case 'resumeUpload':
+        case 'retryUpload':
+        case 'moveUpload': {
+            try {
+                const id = data?.id;
+                if (!id) {
+                    return { success: false, message: 'Missing id' };
+                }
+                if (action === 'pauseUpload') return await UploadQueue.pause(id);
+                if (action === 'resumeUpload') return await UploadQueue.resume(id);
+                if (action === 'retryUpload') return await UploadQueue.retry(id);
+                return await UploadQueue.move(id, data.direction);
+            } catch (e) {
+                SecurityManager.logSecurity('upload_queue_action_failed', { action, error: e.message });
+                return { success: false, message: 'Failed to update upload queue' };
+            }
+        }
+        case 'setUploadConcurrency':
+            return await UploadQueue.setConcurrency(data?.maxConcurrentUploads);
+        case 'getTranscripts': {
+            const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+            const queueState = await UploadQueue.getState();
+            return { success: true, transcripts: transcripts.map(t => TranscriptRecord.migrate(t)), ...queueState };
+        }
+        case 'cancelUpload': {
+            try {
+                const id = data?.id;
+                if (!id) {
+                    return { success: false, message: 'Missing id' };
+                }
+                return await UploadQueue.cancel(id);
+            } catch (e) {
+                SecurityManager.logSecurity('cancel_upload_failed', { error: e.message });
+                return { success: false, message: 'Failed to cancel upload' };
+            }
+        }
+        case 'deleteTranscript': {
+            try {
+                const id = data?.id;
+                if (!id) {
+                    return { success: false, message: 'Missing id' };
+                }
+                // Deleting an in-progress record should not leave its upload running or queued
+                const { transcripts: current = [] } = await chrome.storage.local.get(['transcripts']);
+                if (current.some(t => t.id === id && ['pending', 'queued', 'paused'].includes(t.status))) {
+                    await UploadQueue.cancel(id);
+                }
+                await SharedStorage.updateTranscripts(transcripts => transcripts.filter(t => t.id !== id));
+                // Failed uploads keep their staged blob for Retry, finished ones their audio for playback
+                await BlobStore.delete(id).catch(() => {});
+                return { success: true };
+            } catch (e) {
+                SecurityManager.logSecurity('delete_transcript_failed', { error: e.message });
+                return { success: false, message: 'Failed to delete transcript' };
+            }
+        }
+        case 'updateTranscript': {
+            try {
+                const { id, text: newText, filename: newFilename, speakerNames } = data || {};
+                if (!id) {
+                    return { success: false, message: 'Missing id' };
+                }
+                let updatedRecord = null;
+                await SharedStorage.updateTranscripts(transcripts => transcripts.map(t => {
+                    if (t.id === id) {
+                        updatedRecord = TranscriptRecord.migrate({ ...t });
+                        // Word and segment timings stay; they no longer match edited text exactly
+                        if (typeof newText === 'string' && newText !== updatedRecord.text) {
+                            updatedRecord.text = newText;
+                            updatedRecord.metadata = { ...updatedRecord.metadata, edited: true };
+                        }
+                        if (typeof newFilename === 'string' && newFilename.trim()) {
+                            updatedRecord.filename = newFilename.trim();
+                        }
+                        // { label: name } for labels the transcript has; an empty name goes back to the label
+                        if (speakerNames && typeof speakerNames === 'object') {
+                            const labels = TranscriptRecord.speakers(updatedRecord);
+                            const names = { ...updatedRecord.metadata.speakerNames };
+                            for (const [label, name] of Object.entries(speakerNames)) {
+                                if (!labels.includes(label) || typeof name !== 'string') continue;
+                                const clean = name.trim().slice(0, 64);
+                                if (clean) names[label] = clean; else delete names[label];
+                            }
+                            updatedRecord.metadata = { ...updatedRecord.metadata, speakerNames: names };
+                        }
+                        updatedRecord.updatedAt = Date.now();
+                        return updatedRecord;
+                    }
+                    return t;
+                }));
+                return { success: true, transcript: updatedRecord };
+            } catch (e) {
+                SecurityManager.logSecurity('update_transcript_failed', { error: e.message });
+                return { success: false, message: 'Failed to update transcript' };
+            }
+        }
+        default:
+            SecurityManager.logSecurity('unknown_action', { action });
+            return { error: 'Unknown action' };
+    }
+}
+
+async function handleAuthValidation(data) {
+    try {
+        const { userData } = data;
+        
+        if (!userData || !userData.accessToken) {
+            return { valid: false, reason: 'No token provided' };
+        }
+        
+        // Rate limiting check
+        if (!SecurityManager.checkRateLimit(userData.id)) {
+            return { valid: false, reason: 'Rate limit exceeded' };
+        }
+        
+        const isValid = await AuthManager.validateToken(userData.accessToken);
+        return { valid: isValid };
+        
+    } catch (error) {
+        SecurityManager.logSecurity('auth_validation_error', { error: error.message });
+        return { valid: false, reason: 'Validation failed' };
+    }
+}
+
+async function handleTokenRefresh(data) {
     try {
-        // This would check your Python server health
-        // Replace with your actual server URL
-        const serverUrl = 'http://localhost:8000';
+        const { userData } = data;
+        const refreshedData = await AuthManager.refreshTokenIfNeeded(userData);
+        
+        if (refreshedData) {
+            return { success: true, userData: refreshedData };
+        } else {
+            return { success: false, reason: 'Token refresh failed' };
+        }
         
-        const response = await fetch(`${serverUrl}/health`, {
+    } catch (error) {
+        SecurityManager.logSecurity('token_refresh_error', { error: error.message });
+        return { success: false, reason: 'Internal error' };
+    }
+}
+
+// Sign-in state; connection profiles, settings, transcripts and queue state survive a sign-out
+const AUTH_STORAGE_KEYS = ['authToken', 'user', 'isAuthenticated', 'userData'];
+
+// Cancel in-flight work while the token is still valid, then forget the account
+async function handleSignOut() {
+    const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
+    const inProgress = transcripts.filter(t => ['pending', 'queued', 'paused'].includes(t.status));
+    for (const record of inProgress) {
+        await UploadQueue.cancel(record.id).catch(error => {
+            console.warn('[Auth] Cancelling upload on sign-out failed', { id: record.id, error: error.message });
+        });
+    }
+    await chrome.storage.local.remove(AUTH_STORAGE_KEYS);
+    return { success: true, cancelled: inProgress.length };
+}
+
+// Checks the active connection profile, or an unsaved one passed in by the options page
+async function checkApiHealth(profileData) {
+    try {
+        let profile;
+        if (profileData) {
+            profile = ConfigStore.normalizeProfile(profileData);
+            const errors = ConfigStore.validateProfile(profile);
+            if (errors.length > 0) {
+                return { healthy: false, error: errors[0] };
+            }
+        } else {
+            profile = await ConfigStore.getActiveProfile();
+        }
+        const client = createServerClient(profile, null);
+
+        const startedAt = Date.now();
+        const response = await client.request(ConfigStore.healthPath(profile), {
             method: 'GET',
             headers: {
                 'X-Extension-Version': chrome.runtime.getManifest().version
             }
         });
         
+        const latencyMs = Date.now() - startedAt;
         if (response.ok) {
-            return { healthy: true, status: response.status };
+            return { healthy: true, status: response.status, latencyMs };
         } else {
-            return { healthy: false, status: response.status };
+            return { healthy: false, status: response.status, latencyMs };
         }
         
     } catch (error) {
@@ -481,7 +2484,7 @@ setInterval(async () => {
             const isExpired = Date.now() - result.userData.timestamp > thirtyDays;
             
             if (isExpired) {
-                await chrome.storage.local.clear();
+                await handleSignOut();
                 SecurityManager.logSecurity('expired_data_cleaned', { 
                     timestamp: result.userData.timestamp 
                 });
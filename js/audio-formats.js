@@ -0,0 +1,353 @@
+// Supported audio formats, recognized by their magic bytes rather than the file name or MIME type.
+// This is the only list of formats; the file picker, validation and error messages all read it.
+// Video containers are accepted too; their audio track is extracted before upload (js/video-audio.js).
+const AudioFormats = {
+    MAX_FILE_SIZE: 500 * 1024 * 1024, // 500MB
+    SNIFF_BYTES: 64,
+    PROBE_TIMEOUT_MS: 8000,
+    // Containers that may carry a picture as well as sound
+    VIDEO_CONTAINERS: ['mov', 'm4a', 'webm'],
+    // Content types a server may send for an audio download; generic binary types are settled by the magic bytes
+    GENERIC_CONTENT_TYPES: ['', 'application/octet-stream', 'binary/octet-stream', 'application/x-download', 'application/force-download'],
+    // Major brands of MP4/M4A audio and video; HEIC and AVIF images share the same "ftyp" container
+    MP4_BRANDS: ['M4A ', 'M4B ', 'M4P ', 'M4V ', 'M4VH', 'M4VP', 'mp41', 'mp42', 'isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6',
+        'avc1', 'dash', 'MSNV', 'NDAS', 'XAVC', 'mmp4', 'f4v ', 'f4a ', '3gp4', '3gp5', '3gp6', '3gp7', '3g2a'],
+
+    FORMATS: [
+        {
+            id: 'wav',
+            label: 'WAV',
+            extensions: ['wav', 'wave'],
+            mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+            matches: (bytes, ascii) => ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE'
+        },
+        {
+            id: 'mp3',
+            label: 'MP3',
+            extensions: ['mp3'],
+            mimeTypes: ['audio/mpeg', 'audio/mp3'],
+            // MPEG audio frame sync with a layer set (layer 0 is AAC's ADTS header); sniff() skips an ID3 tag first
+            matches: (bytes) => bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0 && (bytes[1] & 0x06) !== 0
+        },
+        {
+            id: 'aac',
+            label: 'AAC',
+            extensions: ['aac'],
+            mimeTypes: ['audio/aac', 'audio/x-aac'],
+            matches: (bytes) => bytes[0] === 0xFF && (bytes[1] & 0xF6) === 0xF0
+        },
+        {
+            id: 'mov',
+            label: 'MOV',
+            extensions: ['mov', 'qt'],
+            mimeTypes: ['video/quicktime'],
+            matches: (bytes, ascii) => ascii(4, 8) === 'ftyp' && ascii(8, 12) === 'qt  '
+        },
+        {
+            id: 'm4a',
+            label: 'M4A/MP4',
+            extensions: ['m4a', 'm4b', 'mp4', 'm4v'],
+            mimeTypes: ['audio/mp4', 'audio/m4a', 'audio/x-m4a', 'video/mp4'],
+            matches: (bytes, ascii) => ascii(4, 8) === 'ftyp' && AudioFormats.MP4_BRANDS.includes(ascii(8, 12))
+        },
+        {
+            id: 'ogg',
+            label: 'OGG/Opus',
+            extensions: ['ogg', 'oga', 'opus'],
+            mimeTypes: ['audio/ogg', 'audio/opus'],
+            matches: (bytes, ascii) => ascii(0, 4) === 'OggS'
+        },
+        {
+            id: 'flac',
+            label: 'FLAC',
+            extensions: ['flac'],
+            mimeTypes: ['audio/flac', 'audio/x-flac'],
+            matches: (bytes, ascii) => ascii(0, 4) === 'fLaC'
+        },
+        {
+            id: 'webm',
+            label: 'WebM',
+            extensions: ['webm', 'weba', 'mka'],
+            mimeTypes: ['audio/webm', 'audio/x-matroska', 'video/webm'],
+            matches: (bytes) => bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3
+        },
+        {
+            id: 'wma',
+            label: 'WMA',
+            extensions: ['wma'],
+            mimeTypes: ['audio/x-ms-wma'],
+            decodable: false, // Chrome cannot play WMA; the server converts it
+            matches: (bytes) => [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11].every((byte, i) => bytes[i] === byte)
+        }
+    ],
+
+    // Common files people pick by mistake, so the error can say what the file actually is
+    NON_AUDIO: [
+        { label: 'a PDF document', matches: (bytes, ascii) => ascii(0, 5) === '%PDF-' },
+        { label: 'a ZIP archive or Office document', matches: (bytes, ascii) => ascii(0, 4) === 'PK\x03\x04' },
+        { label: 'a PNG image', matches: (bytes, ascii) => ascii(1, 4) === 'PNG' },
+        { label: 'a JPEG image', matches: (bytes) => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+        { label: 'a GIF image', matches: (bytes, ascii) => ascii(0, 4) === 'GIF8' },
+        { label: 'an HEIC or AVIF image', matches: (bytes, ascii) => ascii(4, 8) === 'ftyp' && ['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1', 'avif', 'avis'].includes(ascii(8, 12)) },
+        { label: 'a web page', matches: (bytes, ascii) => /^\s*<(!doctype|html)/i.test(ascii(0, 20)) }
+    ],
+
+    labels() {
+        return this.FORMATS.map(format => format.label).join(', ');
+    },
+
+    // Value for <input type="file" accept>; extensions cover files the OS reports without a MIME type
+    acceptAttribute() {
+        return [
+            'audio/*',
+            ...this.FORMATS.flatMap(format => format.mimeTypes.filter(type => type.startsWith('video/'))),
+            ...this.FORMATS.flatMap(format => format.extensions.map(ext => `.${ext}`))
+        ].join(',');
+    },
+
+    byExtension(name) {
+        const extension = name && name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+        return this.FORMATS.find(format => format.extensions.includes(extension)) || null;
+    },
+
+    // Length of an ID3v2 tag at the start (10-byte header, syncsafe size, optional footer), or 0 without one
+    id3TagLength(bytes) {
+        if (bytes.length < 10 || String.fromCharCode(...bytes.slice(0, 3)) !== 'ID3') return 0;
+        const size = (bytes[6] & 0x7F) << 21 | (bytes[7] & 0x7F) << 14 | (bytes[8] & 0x7F) << 7 | (bytes[9] & 0x7F);
+        return 10 + size + ((bytes[5] & 0x10) ? 10 : 0);
+    },
+
+    // First bytes of a file's audio, after any ID3 tag
+    async readHead(file, length) {
+        const tagLength = this.id3TagLength(new Uint8Array(await file.slice(0, 10).arrayBuffer()));
+        return new Uint8Array(await file.slice(tagLength, tagLength + length).arrayBuffer());
+    },
+
+    // First bytes of a file (after any ID3 tag) -> { format } or { nonAudio: label } or {}
+    sniff(bytes) {
+        const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+        const format = this.FORMATS.find(candidate => candidate.matches(bytes, ascii));
+        if (format) {
+            return { format };
+        }
+        const other = this.NON_AUDIO.find(candidate => candidate.matches(bytes, ascii));
+        return other ? { nonAudio: other.label } : {};
+    },
+
+    // Let the browser read the file's metadata; resolves { playable, duration, hasVideo }.
+    // A <video> element plays audio too and reports whether there is a picture.
+    // A probe that times out is inconclusive: it does not block the upload, and hasVideo is null (unknown).
+    probe(file) {
+        return new Promise((resolve) => {
+            const media = document.createElement('video');
+            const url = URL.createObjectURL(file);
+            const finish = (result) => {
+                clearTimeout(timer);
+                media.removeAttribute('src');
+                media.load();
+                URL.revokeObjectURL(url);
+                resolve(result);
+            };
+            const timer = setTimeout(() => finish({ playable: true, duration: null, hasVideo: null }), this.PROBE_TIMEOUT_MS);
+            media.preload = 'metadata';
+            media.muted = true;
+            media.onloadedmetadata = () => finish({
+                playable: true,
+                duration: Number.isFinite(media.duration) ? media.duration : null,
+                hasVideo: media.videoWidth > 0
+            });
+            media.onerror = () => finish({ playable: false, duration: null, hasVideo: false });
+            media.src = url;
+        });
+    },
+
+    // Sample rate and channel count from the format's header; fields stay null when the header does not say
+    async readAudioInfo(file, format) {
+        const info = { sampleRate: null, channels: null };
+        const headerBytes = ['m4a', 'mov'].includes(format.id) ? 1024 * 1024 : 64 * 1024;
+        const bytes = await this.readHead(file, headerBytes);
+        const view = new DataView(bytes.buffer);
+        const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+        const indexOf = (text, from = 0) => {
+            outer: for (let i = from; i <= bytes.length - text.length; i++) {
+                for (let j = 0; j < text.length; j++) {
+                    if (bytes[i + j] !== text.charCodeAt(j)) continue outer;
+                }
+                return i;
+            }
+            return -1;
+        };
+
+        try {
+            if (format.id === 'wav') {
+                // Walk the RIFF chunks to "fmt "
+                for (let offset = 12; offset + 8 <= bytes.length; offset += 8 + view.getUint32(offset + 4, true) + (view.getUint32(offset + 4, true) % 2)) {
+                    if (ascii(offset, offset + 4) === 'fmt ') {
+                        info.channels = view.getUint16(offset + 10, true);
+                        info.sampleRate = view.getUint32(offset + 12, true);
+                        break;
+                    }
+                }
+            } else if (format.id === 'flac') {
+                // STREAMINFO: 20-bit sample rate, then 3 bits of channels - 1
+                info.sampleRate = (bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4);
+                info.channels = ((bytes[20] >> 1) & 0x07) + 1;
+            } else if (format.id === 'ogg') {
+                const opus = indexOf('OpusHead');
+                const vorbis = indexOf('\x01vorbis');
+                if (opus !== -1) {
+                    // Opus always decodes at 48 kHz; the header keeps the original input rate
+                    info.channels = bytes[opus + 9];
+                    info.sampleRate = view.getUint32(opus + 12, true) || 48000;
+                } else if (vorbis !== -1) {
+                    info.channels = bytes[vorbis + 11];
+                    info.sampleRate = view.getUint32(vorbis + 12, true);
+                }
+            } else if (format.id === 'm4a' || format.id === 'mov') {
+                // AudioSampleEntry inside moov, found only when moov comes before the media data
+                const entry = indexOf('mp4a');
+                if (entry !== -1 && entry + 32 <= bytes.length) {
+                    info.channels = view.getUint16(entry + 20);
+                    info.sampleRate = view.getUint16(entry + 28);
+                }
+            } else if (format.id === 'mp3' || format.id === 'aac') {
+                // The first frame header, past any padding
+                let offset = 0;
+                while (offset + 4 <= bytes.length && !(bytes[offset] === 0xFF && (bytes[offset + 1] & 0xE0) === 0xE0)) {
+                    offset++;
+                }
+                if (offset + 4 <= bytes.length && format.id === 'mp3') {
+                    const version = (bytes[offset + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+                    const rates = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] }[version];
+                    const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+                    info.sampleRate = rates && rateIndex < 3 ? rates[rateIndex] : null;
+                    info.channels = ((bytes[offset + 3] >> 6) & 0x03) === 3 ? 1 : 2;
+                } else if (offset + 4 <= bytes.length) {
+                    const rates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+                    info.sampleRate = rates[(bytes[offset + 2] >> 2) & 0x0F] || null;
+                    info.channels = ((bytes[offset + 2] & 0x01) << 2) | (bytes[offset + 3] >> 6) || null;
+                }
+            }
+        } catch (_) {
+            // A truncated or unusual header only costs us the details
+        }
+        return {
+            sampleRate: info.sampleRate > 0 ? info.sampleRate : null,
+            channels: info.channels > 0 ? info.channels : null
+        };
+    },
+
+    // Length in seconds from the header, where no media element can probe the file (the worker): WAV, MP3 and FLAC.
+    // null for other formats and whenever the header does not say.
+    async readDuration(file, format) {
+        try {
+            const tagLength = this.id3TagLength(new Uint8Array(await file.slice(0, 10).arrayBuffer()));
+            const bytes = await this.readHead(file, 64 * 1024);
+            const view = new DataView(bytes.buffer);
+            const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+            let seconds = null;
+            if (format.id === 'wav') {
+                let byteRate = 0;
+                for (let offset = 12; offset + 8 <= bytes.length; offset += 8 + view.getUint32(offset + 4, true) + (view.getUint32(offset + 4, true) % 2)) {
+                    if (ascii(offset, offset + 4) === 'fmt ') {
+                        byteRate = view.getUint32(offset + 16, true);
+                    } else if (ascii(offset, offset + 4) === 'data' && byteRate > 0) {
+                        // Streaming writers leave the size at 0 or 0xFFFFFFFF; the data then runs to the end of the file
+                        const size = view.getUint32(offset + 4, true);
+                        const dataSize = size > 0 && size !== 0xFFFFFFFF ? size : file.size - offset - 8;
+                        seconds = dataSize / byteRate;
+                        break;
+                    }
+                }
+            } else if (format.id === 'flac') {
+                // STREAMINFO: 20-bit sample rate, then 36 bits of total samples
+                const sampleRate = (bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4);
+                const samples = (bytes[21] & 0x0F) * 2 ** 32 + view.getUint32(22);
+                seconds = sampleRate > 0 && samples > 0 ? samples / sampleRate : null;
+            } else if (format.id === 'mp3') {
+                let offset = 0;
+                while (offset + 4 <= bytes.length && !(bytes[offset] === 0xFF && (bytes[offset + 1] & 0xE0) === 0xE0)) {
+                    offset++;
+                }
+                const version = (bytes[offset + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+                const layer3 = ((bytes[offset + 1] >> 1) & 0x03) === 1;
+                const sampleRate = ({ 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] }[version] || [])[(bytes[offset + 2] >> 2) & 0x03];
+                if (offset + 4 > bytes.length || !layer3 || !sampleRate) return null;
+                const mono = (bytes[offset + 3] >> 6) === 3;
+                const samplesPerFrame = version === 3 ? 1152 : 576;
+                // VBR files count their frames in a Xing/Info or VBRI header inside the first frame
+                const xing = offset + 4 + (version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+                const vbri = offset + 36;
+                let frames = 0;
+                if (['Xing', 'Info'].includes(ascii(xing, xing + 4)) && (view.getUint32(xing + 4) & 0x01)) {
+                    frames = view.getUint32(xing + 8);
+                } else if (ascii(vbri, vbri + 4) === 'VBRI') {
+                    frames = view.getUint32(vbri + 14);
+                }
+                if (frames > 0) {
+                    seconds = (frames * samplesPerFrame) / sampleRate;
+                } else {
+                    // Constant bitrate: the audio bytes at the first frame's bitrate
+                    const kbps = (version === 3
+                        ? [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+                        : [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160])[bytes[offset + 2] >> 4];
+                    seconds = kbps ? ((file.size - tagLength - offset) * 8) / (kbps * 1000) : null;
+                }
+            }
+            return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    // Throws an Error with a message for the user when a download is clearly not audio or video
+    checkContentType(type, name) {
+        const mimeType = (type || '').split(';')[0].trim().toLowerCase();
+        if (this.GENERIC_CONTENT_TYPES.includes(mimeType) || mimeType.startsWith('audio/')
+            || this.FORMATS.some(format => format.mimeTypes.includes(mimeType))) {
+            return;
+        }
+        throw new Error(`"${name}" is not an audio file (the server sent ${mimeType}).`);
+    },
+
+    // Size and magic-byte checks, which need no page: the worker runs them on downloads too.
+    // Throws an Error with a message for the user; resolves { format, sampleRate, channels }
+    async checkContents(file) {
+        const name = file.name || 'This file';
+        if (!file.size) {
+            throw new Error(`"${name}" is empty.`);
+        }
+        if (file.size > this.MAX_FILE_SIZE) {
+            throw new Error(`"${name}" is too large. Please upload a file smaller than ${Math.round(this.MAX_FILE_SIZE / (1024 * 1024))}MB.`);
+        }
+
+        const { format, nonAudio } = this.sniff(await this.readHead(file, this.SNIFF_BYTES));
+        if (!format) {
+            if (nonAudio) {
+                throw new Error(`"${name}" is ${nonAudio}, not an audio file.`);
+            }
+            const claimed = this.byExtension(file.name);
+            if (claimed) {
+                throw new Error(`"${name}" is not a valid ${claimed.label} file. It may be damaged or only renamed to .${file.name.split('.').pop()}.`);
+            }
+            throw new Error(`"${name}" is not a supported audio file. Supported formats: ${this.labels()}.`);
+        }
+        return { format, ...(await this.readAudioInfo(file, format)) };
+    },
+
+    // Throws an Error with a message for the user; resolves { format, duration, sampleRate, channels, hasVideo } for files worth uploading.
+    // hasVideo is null when a video container could not be probed in time.
+    async validate(file) {
+        const name = file.name || 'This file';
+        const { format, ...info } = await this.checkContents(file);
+        if (format.decodable === false) {
+            return { format, duration: null, hasVideo: false, ...info };
+        }
+        const { playable, duration, hasVideo } = await this.probe(file);
+        if (!playable) {
+            throw new Error(`"${name}" looks like a ${format.label} file but could not be decoded. It may be damaged or use an unsupported codec.`);
+        }
+        const unknown = hasVideo === null && this.VIDEO_CONTAINERS.includes(format.id);
+        return { format, duration, hasVideo: unknown ? null : Boolean(hasVideo), ...info };
+    }
+};
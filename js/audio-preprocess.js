@@ -0,0 +1,265 @@
+// Optional preprocessing in the popup: downmix and resample to 16 kHz mono 16-bit WAV,
+// which is all a speech model uses. OfflineAudioContext does the resampling, so this cannot run in the worker.
+const AudioPreprocessor = {
+    TARGET_SAMPLE_RATE: 16000,
+    SEGMENT_SECONDS: 30, // WAV input is converted in slices of this length
+    MAX_DECODE_SECONDS: 30 * 60, // Other formats are decoded whole, which costs memory
+    SILENCE_FRAME_MS: 30,
+    SILENCE_PADDING_MS: 300, // Kept around speech so words are not clipped
+    SILENCE_MIN_GAP_MS: 2000, // 'compress' cuts pauses longer than this down to the padding on each side
+    SILENCE_MIN_CONTRAST_DB: 15, // Quieter recordings than this between noise and speech are left alone
+    MAX_KEPT_RANGES: 10000, // Each kept stretch is one time map entry; the worker stores no more than this
+
+    // Worth doing only when the file has more than we keep (or silence is to be trimmed), and we can read it.
+    // 16 kHz WAV is about 32 KB a second, more than MP3, AAC or Opus at usual bitrates, so those stay as they are.
+    canReduce({ blob, format, duration, sampleRate, channels }, { silence = 'off' } = {}) {
+        if (format.decodable === false) return false;
+        if (silence === 'off' && sampleRate && sampleRate <= this.TARGET_SAMPLE_RATE && channels === 1) return false;
+        if (silence === 'off' && blob && duration > 0 && this.wavSize(duration) >= blob.size) return false;
+        return format.id === 'wav' || (duration > 0 && duration <= this.MAX_DECODE_SECONDS);
+    },
+
+    // Resolves { blob, duration, timeMap }: a 16 kHz mono WAV, its length in seconds, and for trimmed audio
+    // [[uploadedSeconds, originalSeconds], ...] marking where each kept stretch came from (null when nothing was cut).
+    // silence is 'off', 'edges' (trim leading and trailing silence) or 'compress' (also shorten long pauses).
+    async reduce(file, format, duration, onProgress, { silence = 'off' } = {}) {
+        const layout = format.id === 'wav' ? await this.readWavLayout(file) : null;
+        // Compressed WAV encodings are decoded whole like any other format
+        if (!layout && !(duration > 0 && duration <= this.MAX_DECODE_SECONDS)) {
+            throw new Error('File is too long to reduce in the browser');
+        }
+        const parts = layout
+            ? await this.reduceWav(file, layout, onProgress)
+            : await this.reduceDecoded(file, onProgress);
+        let output = parts;
+        let timeMap = null;
+        if (silence !== 'off') {
+            // The parts are read in place; copying a long recording into one array would double its memory
+            const arrays = parts.map(part => new Int16Array(part));
+            const length = arrays.reduce((sum, array) => sum + array.length, 0);
+            const ranges = this.limitRanges(this.keptRanges(arrays, length, silence), this.MAX_KEPT_RANGES);
+            const kept = ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+            if (kept < length) {
+                let uploaded = 0;
+                timeMap = ranges.map(([start, end]) => {
+                    const entry = [this.toSeconds(uploaded), this.toSeconds(start)];
+                    uploaded += end - start;
+                    return entry;
+                });
+                output = ranges.flatMap(([start, end]) => this.slice(arrays, start, end));
+            }
+        }
+        const dataSize = output.reduce((sum, part) => sum + part.byteLength, 0);
+        return {
+            blob: new Blob([this.wavHeader(dataSize), ...output], { type: 'audio/wav' }),
+            duration: dataSize / 2 / this.TARGET_SAMPLE_RATE,
+            timeMap
+        };
+    },
+
+    // Bytes of a 16 kHz mono 16-bit WAV this long
+    wavSize(duration) {
+        return 44 + Math.ceil(duration * this.TARGET_SAMPLE_RATE) * 2;
+    },
+
+    // Views of the samples [start, end) across consecutive arrays, without copying
+    slice(arrays, start, end) {
+        const views = [];
+        let offset = 0;
+        for (const array of arrays) {
+            const from = Math.max(start, offset);
+            const to = Math.min(end, offset + array.length);
+            if (from < to) views.push(array.subarray(from - offset, to - offset));
+            offset += array.length;
+            if (offset >= end) break;
+        }
+        return views;
+    },
+
+    // Fewer, longer ranges: the shortest cuts are undone first until at most max ranges remain
+    limitRanges(ranges, max) {
+        if (ranges.length <= max) return ranges;
+        const gaps = ranges.slice(1).map((range, i) => range[0] - ranges[i][1]).sort((a, b) => a - b);
+        const longestClosed = gaps[ranges.length - max - 1];
+        const merged = [];
+        for (const [start, end] of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && start - last[1] <= longestClosed) {
+                last[1] = end;
+            } else {
+                merged.push([start, end]);
+            }
+        }
+        return merged;
+    },
+
+    toSeconds(sampleIndex) {
+        return Math.round((sampleIndex / this.TARGET_SAMPLE_RATE) * 1000) / 1000;
+    },
+
+    // Energy-based voice activity: frames well above the noise floor are speech.
+    // arrays hold length samples between them, in order.
+    // Returns the [start, end) sample ranges to keep; everything when there is no clear silence.
+    keptRanges(arrays, length, silence) {
+        const frameLength = Math.round(this.TARGET_SAMPLE_RATE * this.SILENCE_FRAME_MS / 1000);
+        const frameCount = Math.floor(length / frameLength);
+        const everything = [[0, length]];
+        if (frameCount < 2) return everything;
+
+        const energy = new Float64Array(frameCount);
+        let index = 0;
+        for (const array of arrays) {
+            for (let i = 0; i < array.length && index < frameCount * frameLength; i++, index++) {
+                const sample = array[i] / 32768;
+                energy[Math.floor(index / frameLength)] += sample * sample;
+            }
+        }
+        const levels = Float32Array.from(energy, sum => 10 * Math.log10(sum / frameLength + 1e-10));
+        const sorted = Float32Array.from(levels).sort();
+        const noiseFloor = sorted[Math.floor(frameCount * 0.1)];
+        const speechLevel = sorted[Math.floor(frameCount * 0.9)];
+        if (speechLevel - noiseFloor < this.SILENCE_MIN_CONTRAST_DB) return everything;
+        const threshold = noiseFloor + (speechLevel - noiseFloor) * 0.3;
+
+        // Speech frames, padded and merged into ranges
+        const padding = Math.round(this.SILENCE_PADDING_MS / this.SILENCE_FRAME_MS);
+        const minGap = silence === 'compress' ? Math.round(this.SILENCE_MIN_GAP_MS / this.SILENCE_FRAME_MS) : Infinity;
+        const ranges = [];
+        for (let frame = 0; frame < frameCount; frame++) {
+            if (levels[frame] < threshold) continue;
+            const start = Math.max(0, frame - padding);
+            const end = Math.min(frameCount, frame + 1 + padding);
+            const last = ranges[ranges.length - 1];
+            if (last && start - last[1] <= minGap) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                ranges.push([start, end]);
+            }
+        }
+        if (ranges.length === 0) return everything;
+
+        // Frames back to samples; the tail after the last full frame belongs to the last range if it reaches it
+        return ranges.map(([start, end]) => [
+            start * frameLength,
+            end === frameCount ? length : end * frameLength
+        ]);
+    },
+
+    // Where the PCM data is and how it is laid out; null for WAV encodings we do not read directly
+    async readWavLayout(file) {
+        const bytes = new Uint8Array(await file.slice(0, 64 * 1024).arrayBuffer());
+        const view = new DataView(bytes.buffer);
+        const ascii = (start) => String.fromCharCode(...bytes.slice(start, start + 4));
+        let fmt = null;
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const size = view.getUint32(offset + 4, true);
+            if (ascii(offset) === 'fmt ') {
+                const tag = view.getUint16(offset + 8, true);
+                fmt = {
+                    // 1 = integer PCM, 3 = float; WAVE_FORMAT_EXTENSIBLE keeps the real one in its sub-format GUID
+                    encoding: tag === 0xFFFE && size >= 26 ? view.getUint16(offset + 32, true) : tag,
+                    channels: view.getUint16(offset + 10, true),
+                    sampleRate: view.getUint32(offset + 12, true),
+                    bitsPerSample: view.getUint16(offset + 22, true)
+                };
+            } else if (ascii(offset) === 'data' && fmt) {
+                const supported = (fmt.encoding === 1 && [8, 16, 24, 32].includes(fmt.bitsPerSample))
+                    || (fmt.encoding === 3 && fmt.bitsPerSample === 32);
+                if (!supported || !fmt.channels || !fmt.sampleRate) return null;
+                // Streaming writers leave the size at 0 or 0xFFFFFFFF; the data then runs to the end of the file
+                const dataStart = offset + 8;
+                const dataSize = size > 0 && size !== 0xFFFFFFFF ? Math.min(size, file.size - dataStart) : file.size - dataStart;
+                return { ...fmt, dataStart, dataSize };
+            }
+            offset += 8 + size + (size % 2);
+        }
+        return null;
+    },
+
+    // Read the WAV a slice at a time so only one slice of samples is in memory
+    async reduceWav(file, layout, onProgress) {
+        const frameSize = layout.channels * (layout.bitsPerSample / 8);
+        const framesPerSegment = layout.sampleRate * this.SEGMENT_SECONDS;
+        const totalFrames = Math.floor(layout.dataSize / frameSize);
+        const parts = [];
+
+        for (let frame = 0; frame < totalFrames; frame += framesPerSegment) {
+            const frames = Math.min(framesPerSegment, totalFrames - frame);
+            const start = layout.dataStart + frame * frameSize;
+            const view = new DataView(await file.slice(start, start + frames * frameSize).arrayBuffer());
+            const buffer = new AudioBuffer({ length: frames, numberOfChannels: layout.channels, sampleRate: layout.sampleRate });
+            for (let channel = 0; channel < layout.channels; channel++) {
+                const samples = buffer.getChannelData(channel);
+                for (let i = 0; i < frames; i++) {
+                    samples[i] = this.readSample(view, i * frameSize + channel * (layout.bitsPerSample / 8), layout);
+                }
+            }
+            parts.push(this.toInt16(await this.render(buffer)));
+            if (onProgress) onProgress((frame + frames) / totalFrames);
+        }
+        return parts;
+    },
+
+    // Any other format: decodeAudioData on a 16 kHz context resamples while decoding
+    async reduceDecoded(file, onProgress) {
+        const context = new OfflineAudioContext(1, 1, this.TARGET_SAMPLE_RATE);
+        const decoded = await context.decodeAudioData(await file.arrayBuffer());
+        if (onProgress) onProgress(0.5);
+        const rendered = await this.render(decoded);
+        if (onProgress) onProgress(1);
+        return [this.toInt16(rendered)];
+    },
+
+    readSample(view, offset, { encoding, bitsPerSample }) {
+        if (encoding === 3) return view.getFloat32(offset, true);
+        switch (bitsPerSample) {
+            case 8: return (view.getUint8(offset) - 128) / 128;
+            case 16: return view.getInt16(offset, true) / 32768;
+            case 24: {
+                const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                return value / 8388608;
+            }
+            default: return view.getInt32(offset, true) / 2147483648;
+        }
+    },
+
+    // Downmix (the mono destination averages the channels) and resample one buffer to 16 kHz
+    async render(buffer) {
+        const length = Math.max(1, Math.ceil(buffer.duration * this.TARGET_SAMPLE_RATE));
+        const context = new OfflineAudioContext(1, length, this.TARGET_SAMPLE_RATE);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        source.start();
+        const rendered = await context.startRendering();
+        return rendered.getChannelData(0);
+    },
+
+    toInt16(samples) {
+        const output = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+        return output.buffer;
+    },
+
+    wavHeader(dataSize) {
+        const header = new DataView(new ArrayBuffer(44));
+        const writeAscii = (offset, text) => [...text].forEach((char, i) => header.setUint8(offset + i, char.charCodeAt(0)));
+        writeAscii(0, 'RIFF');
+        header.setUint32(4, 36 + dataSize, true);
+        writeAscii(8, 'WAVE');
+        writeAscii(12, 'fmt ');
+        header.setUint32(16, 16, true);
+        header.setUint16(20, 1, true); // PCM
+        header.setUint16(22, 1, true); // mono
+        header.setUint32(24, this.TARGET_SAMPLE_RATE, true);
+        header.setUint32(28, this.TARGET_SAMPLE_RATE * 2, true); // byte rate
+        header.setUint16(32, 2, true); // block align
+        header.setUint16(34, 16, true); // bits per sample
+        writeAscii(36, 'data');
+        header.setUint32(40, dataSize, true);
+        return header.buffer;
+    }
+};
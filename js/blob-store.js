@@ -0,0 +1,171 @@
+// IndexedDB staging for upload payloads, shared by the popup and the background worker.
+// The popup stages a File here and hands the background only its id; staged blobs also
+// let queued and interrupted uploads resume after a worker or browser restart.
+// After a successful upload the worker may keep() the entry so the popup can play the audio back.
+const BlobStore = {
+    DB_NAME: 'open-audioai',
+    DB_VERSION: 2,
+    STORE_NAME: 'uploadBlobs', // id -> Blob, or a staging manifest for chunked entries
+    CHUNK_STORE_NAME: 'stagingChunks', // [id, index] -> Blob part
+    STAGING_CHUNK_SIZE: 8 * 1024 * 1024,
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                        db.createObjectStore(this.STORE_NAME);
+                    }
+                    if (!db.objectStoreNames.contains(this.CHUNK_STORE_NAME)) {
+                        db.createObjectStore(this.CHUNK_STORE_NAME);
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version of the extension (popup or worker) upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    },
+
+    // operation receives one object store per name and returns the request whose result we want
+    async run(mode, operation, storeNames = [this.STORE_NAME]) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = operation(...storeNames.map(name => tx.objectStore(name)));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    chunkRange(id) {
+        return IDBKeyRange.bound([id, 0], [id, Infinity]);
+    },
+
+    put(id, blob) {
+        return this.run('readwrite', store => store.put(blob, id));
+    },
+
+    // Write a File in parts, one transaction each, so large files never sit in memory or in one huge transaction.
+    // The manifest is marked complete last; an entry interrupted halfway is never handed out by get().
+    async stage(id, file, onProgress) {
+        const manifest = { staged: true, complete: false, size: file.size, type: file.type || '', chunkCount: 0, stagedAt: Date.now() };
+        await this.put(id, manifest);
+        for (let offset = 0; offset < file.size; offset += this.STAGING_CHUNK_SIZE) {
+            const part = file.slice(offset, Math.min(offset + this.STAGING_CHUNK_SIZE, file.size));
+            await this.run('readwrite', chunks => chunks.put(part, [id, manifest.chunkCount]), [this.CHUNK_STORE_NAME]);
+            manifest.chunkCount++;
+            if (onProgress) onProgress(Math.min(offset + part.size, file.size), file.size);
+        }
+        await this.put(id, { ...manifest, complete: true });
+    },
+
+    // stage() for a download: parts are written as they arrive, so the file is never in memory whole.
+    // Throws a RangeError once more than maxSize bytes have arrived. Once signal is aborted nothing more is
+    // written, so a part still arriving cannot outlive the delete() of a cancelled download.
+    async stageStream(id, stream, { type = '', maxSize = Infinity, onProgress, signal } = {}) {
+        const manifest = { staged: true, complete: false, size: 0, type, chunkCount: 0, stagedAt: Date.now() };
+        signal?.throwIfAborted();
+        await this.put(id, manifest);
+        const reader = stream.getReader();
+        let pending = [];
+        let pendingSize = 0;
+        const flush = async () => {
+            signal?.throwIfAborted();
+            const part = new Blob(pending, { type });
+            await this.run('readwrite', chunks => chunks.put(part, [id, manifest.chunkCount]), [this.CHUNK_STORE_NAME]);
+            manifest.chunkCount++;
+            pending = [];
+            pendingSize = 0;
+        };
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            manifest.size += value.byteLength;
+            if (manifest.size > maxSize) {
+                await reader.cancel().catch(() => {});
+                throw new RangeError('The download is larger than allowed');
+            }
+            pending.push(value);
+            pendingSize += value.byteLength;
+            if (pendingSize >= this.STAGING_CHUNK_SIZE) await flush();
+            if (onProgress) onProgress(manifest.size);
+        }
+        if (pendingSize > 0) await flush();
+        signal?.throwIfAborted();
+        await this.put(id, { ...manifest, complete: true });
+    },
+
+    // Staged parts come back as one Blob; IndexedDB blobs are disk backed, so this does not load the file
+    async get(id) {
+        const value = await this.run('readonly', store => store.get(id));
+        if (!value?.staged) {
+            return value;
+        }
+        if (!value.complete) {
+            return undefined;
+        }
+        const parts = await this.run('readonly', chunks => chunks.getAll(this.chunkRange(id)), [this.CHUNK_STORE_NAME]);
+        if (parts.length !== value.chunkCount) {
+            return undefined;
+        }
+        return new Blob(parts, { type: value.type });
+    },
+
+    // Mark a complete staged entry as kept audio; resolves its size, or 0 when there is nothing to keep
+    async keep(id) {
+        const value = await this.run('readonly', store => store.get(id));
+        if (!value?.staged || !value.complete) {
+            return 0;
+        }
+        await this.put(id, { ...value, keptAt: Date.now() });
+        return value.size;
+    },
+
+    delete(id) {
+        return this.run('readwrite', (store, chunks) => {
+            chunks.delete(this.chunkRange(id));
+            return store.delete(id);
+        }, [this.STORE_NAME, this.CHUNK_STORE_NAME]);
+    },
+
+    // Ids of staged entries with their staging time (0 for plain blobs), size and keptAt (0 unless kept),
+    // for cleaning up abandoned entries and capping kept audio
+    async entries() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const request = db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(entries);
+                    return;
+                }
+                const staged = cursor.value?.staged === true;
+                entries.push({
+                    id: cursor.key,
+                    stagedAt: staged ? cursor.value.stagedAt : 0,
+                    size: staged ? cursor.value.size : 0,
+                    keptAt: staged && cursor.value.keptAt ? cursor.value.keptAt : 0
+                });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+};
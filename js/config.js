@@ -0,0 +1,234 @@
+// Connection profiles shared by the background worker, the popup and the options page.
+// Every server request reads its base URL, extra headers and timeouts from the active profile.
+const ConfigStore = {
+    DEFAULT_PROFILE: {
+        id: 'default',
+        name: 'Local server',
+        backend: 'open-audioai',
+        baseUrl: 'http://localhost:8000',
+        apiKey: '', // Sent as a bearer token to backends other than our own server
+        backendOptions: {},
+        headers: {},
+        requestTimeoutMs: 30 * 1000, // Status checks, session setup, health checks
+        uploadTimeoutMs: 10 * 60 * 1000, // One upload request or one part of a resumable upload
+        transcriptionTimeoutMs: 2 * 60 * 60 * 1000, // Waiting for a synchronous transcription result
+        tokensPerMinute: 1, // Cost preview: tokens charged per started minute of audio
+        processingSpeed: 4, // Cost preview: minutes of audio the server transcribes per minute
+        confirmAboveTokens: 30 // Ask before uploading files estimated above this; 0 never asks
+    },
+
+    // Transcription backends a profile can target; the adapters live in UploadManager (background.js).
+    // options lists each backend's settings with their defaults.
+    BACKENDS: {
+        'open-audioai': {
+            label: 'Open AudioAi server',
+            healthPath: '/health',
+            options: {}
+        },
+        openai: {
+            label: 'OpenAI-compatible (/v1/audio/transcriptions)',
+            healthPath: '/v1/models',
+            options: {
+                model: 'whisper-1',
+                language: '', // ISO-639-1 code; empty lets the server detect it
+                prompt: ''
+            }
+        },
+        rest: {
+            label: 'Generic REST endpoint',
+            healthPath: null, // Taken from options.healthPath
+            options: {
+                path: '/transcribe',
+                fileField: 'file',
+                formFields: {}, // Extra multipart fields sent with the file
+                transcriptPath: 'text', // Dot path to the transcript in the JSON response
+                wordsPath: 'words', // Dot path to the word list; empty if the server has none
+                wordTextKey: 'word',
+                wordStartKey: 'start',
+                wordEndKey: 'end',
+                healthPath: ''
+            }
+        }
+    },
+
+    // Header names we never let a profile override
+    RESERVED_HEADERS: ['authorization', 'content-type', 'content-range', 'content-length', 'host', 'cookie'],
+
+    async getProfiles() {
+        const { connectionProfiles, activeProfileId } = await chrome.storage.local.get(['connectionProfiles', 'activeProfileId']);
+        const profiles = Array.isArray(connectionProfiles) && connectionProfiles.length > 0
+            ? connectionProfiles.map(profile => this.normalizeProfile(profile))
+            : [{ ...this.DEFAULT_PROFILE }];
+        const activeId = profiles.some(profile => profile.id === activeProfileId) ? activeProfileId : profiles[0].id;
+        return { profiles, activeProfileId: activeId };
+    },
+
+    async getProfile(id) {
+        const { profiles } = await this.getProfiles();
+        return profiles.find(profile => profile.id === id) || null;
+    },
+
+    async getActiveProfile() {
+        const { profiles, activeProfileId } = await this.getProfiles();
+        return profiles.find(profile => profile.id === activeProfileId);
+    },
+
+    async saveProfile(profile) {
+        const normalized = this.normalizeProfile(profile);
+        const errors = this.validateProfile(normalized);
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
+        }
+        const { profiles, activeProfileId } = await this.getProfiles();
+        const index = profiles.findIndex(existing => existing.id === normalized.id);
+        if (index === -1) {
+            profiles.push(normalized);
+        } else {
+            profiles[index] = normalized;
+        }
+        await chrome.storage.local.set({ connectionProfiles: profiles, activeProfileId });
+        return normalized;
+    },
+
+    async deleteProfile(id) {
+        const { profiles, activeProfileId } = await this.getProfiles();
+        const remaining = profiles.filter(profile => profile.id !== id);
+        if (remaining.length === 0) {
+            throw new Error('At least one connection profile is required');
+        }
+        const nextActive = activeProfileId === id ? remaining[0].id : activeProfileId;
+        await chrome.storage.local.set({ connectionProfiles: remaining, activeProfileId: nextActive });
+    },
+
+    async setActiveProfile(id) {
+        const { profiles } = await this.getProfiles();
+        if (!profiles.some(profile => profile.id === id)) {
+            throw new Error('Unknown connection profile');
+        }
+        await chrome.storage.local.set({ connectionProfiles: profiles, activeProfileId: id });
+    },
+
+    createProfileId() {
+        return `profile-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+    },
+
+    // Fill in defaults and coerce types so callers never see a partial profile
+    normalizeProfile(profile = {}) {
+        const defaults = this.DEFAULT_PROFILE;
+        const number = (value, fallback) => {
+            const parsed = Number(value);
+            return value !== '' && value !== null && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+        };
+        const timeout = (value, fallback) => Math.round(number(value, fallback));
+        const headers = {};
+        if (profile.headers && typeof profile.headers === 'object') {
+            for (const [name, value] of Object.entries(profile.headers)) {
+                if (typeof value === 'string' && name.trim()) {
+                    headers[name.trim()] = value;
+                }
+            }
+        }
+        const backend = Object.hasOwn(this.BACKENDS, profile.backend) ? profile.backend : defaults.backend;
+        return {
+            id: typeof profile.id === 'string' && profile.id ? profile.id : this.createProfileId(),
+            name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : 'Untitled profile',
+            backend,
+            baseUrl: typeof profile.baseUrl === 'string' ? profile.baseUrl.trim().replace(/\/+$/, '') : defaults.baseUrl,
+            apiKey: typeof profile.apiKey === 'string' ? profile.apiKey.trim() : '',
+            backendOptions: this.normalizeBackendOptions(backend, profile.backendOptions),
+            headers,
+            requestTimeoutMs: timeout(profile.requestTimeoutMs, defaults.requestTimeoutMs),
+            uploadTimeoutMs: timeout(profile.uploadTimeoutMs, defaults.uploadTimeoutMs),
+            transcriptionTimeoutMs: timeout(profile.transcriptionTimeoutMs, defaults.transcriptionTimeoutMs),
+            tokensPerMinute: number(profile.tokensPerMinute, defaults.tokensPerMinute),
+            processingSpeed: number(profile.processingSpeed, defaults.processingSpeed) || defaults.processingSpeed,
+            confirmAboveTokens: number(profile.confirmAboveTokens, defaults.confirmAboveTokens)
+        };
+    },
+
+    // Keep only the settings the backend knows, as strings (or string maps), defaulting the rest
+    normalizeBackendOptions(backend, options = {}) {
+        const normalized = {};
+        for (const [key, fallback] of Object.entries(this.BACKENDS[backend].options)) {
+            const value = options?.[key];
+            if (fallback && typeof fallback === 'object') {
+                normalized[key] = {};
+                for (const [name, fieldValue] of Object.entries(value && typeof value === 'object' ? value : fallback)) {
+                    if (typeof fieldValue === 'string' && name.trim()) {
+                        normalized[key][name.trim()] = fieldValue;
+                    }
+                }
+            } else {
+                normalized[key] = typeof value === 'string' ? value.trim() : fallback;
+            }
+        }
+        return normalized;
+    },
+
+    validateProfile(profile) {
+        const errors = [];
+        let url = null;
+        try {
+            url = new URL(profile.baseUrl);
+        } catch (_) {
+            errors.push('Base URL must be a valid URL, e.g. https://transcribe.example.com');
+        }
+        if (url && !['http:', 'https:'].includes(url.protocol)) {
+            errors.push('Base URL must start with http:// or https://');
+        }
+        if (url && url.protocol === 'http:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) {
+            errors.push('Use https:// for servers other than localhost');
+        }
+        for (const name of Object.keys(profile.headers)) {
+            if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+                errors.push(`Invalid header name: ${name}`);
+            } else if (this.RESERVED_HEADERS.includes(name.toLowerCase())) {
+                errors.push(`Header ${name} is managed by the extension`);
+            }
+        }
+        const options = profile.backendOptions;
+        if (profile.backend === 'openai' && !options.model) {
+            errors.push('Enter the model name the server expects, e.g. whisper-1');
+        }
+        if (profile.backend === 'rest') {
+            for (const key of ['path', 'healthPath']) {
+                if (options[key] && !options[key].startsWith('/')) {
+                    errors.push(`${key === 'path' ? 'Endpoint' : 'Health check'} path must start with /`);
+                }
+            }
+            if (!options.path) {
+                errors.push('Enter the path of the transcription endpoint, e.g. /transcribe');
+            }
+            if (!options.fileField) {
+                errors.push('Enter the form field name the server reads the audio file from');
+            }
+            if (!options.transcriptPath) {
+                errors.push('Enter where the transcript is in the JSON response, e.g. text or result.transcript');
+            }
+        }
+        return errors;
+    },
+
+    // Estimated tokens and processing time for a file of the given duration, from the profile's cost settings
+    estimateCost(profile, durationSeconds) {
+        const minutes = Math.max(0, durationSeconds) / 60;
+        return {
+            tokens: Math.ceil(Math.ceil(minutes) * profile.tokensPerMinute),
+            processingSeconds: Math.round((minutes / profile.processingSpeed) * 60)
+        };
+    },
+
+    // Path used by "Test connection"; generic REST profiles without one fall back to the base URL
+    healthPath(profile) {
+        if (profile.backend === 'rest') {
+            return profile.backendOptions.healthPath || '/';
+        }
+        return this.BACKENDS[profile.backend].healthPath;
+    },
+
+    // Origin pattern for chrome.permissions, e.g. https://transcribe.example.com/*
+    originPattern(baseUrl) {
+        const url = new URL(baseUrl);
+        return `${url.protocol}//${url.hostname}/*`;
+    }
+};
@@ -0,0 +1,38 @@
+// The context menu runs in the worker, where chrome.permissions.request has no user gesture to go with it.
+// It opens this page for links on sites we may not read yet; the click here asks for access and starts the transcription.
+(() => {
+    const url = new URLSearchParams(location.search).get('url') || '';
+    const status = document.getElementById('status');
+    const allow = document.getElementById('allow');
+    const show = (className, text) => {
+        status.className = `message ${className}`;
+        status.textContent = text;
+    };
+
+    let origin;
+    try {
+        origin = ConfigStore.originPattern(url);
+        show('warning', `Open AudioAi needs access to ${new URL(url).hostname} to download this file.`);
+    } catch (_) {
+        show('error', 'This link cannot be transcribed.');
+        allow.disabled = true;
+    }
+
+    allow.addEventListener('click', async () => {
+        // The request must be the first thing the click does
+        await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+        if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+            show('error', 'Access was not granted, so the file cannot be downloaded.');
+            return;
+        }
+        allow.disabled = true;
+        const res = await chrome.runtime.sendMessage({ action: 'transcribeLink', data: { url } }).catch(() => null);
+        if (!res?.success) {
+            show('error', res?.message || 'The transcription could not be started.');
+            return;
+        }
+        window.close();
+    });
+
+    document.getElementById('cancel').addEventListener('click', () => window.close());
+})();
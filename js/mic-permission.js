@@ -0,0 +1,17 @@
+// The offscreen recorder cannot show a permission prompt, so access is granted once from this tab
+(async () => {
+    const status = document.getElementById('status');
+    const show = (className, text) => {
+        status.className = `message ${className}`;
+        status.textContent = text;
+    };
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        stream.getTracks().forEach(track => track.stop());
+        show('success', 'Microphone access granted. You can close this tab and start recording from the extension.');
+    } catch (error) {
+        show('error', error?.name === 'NotAllowedError'
+            ? 'Microphone access was blocked. Allow it for this extension in the site settings (lock icon in the address bar), then reload this page.'
+            : `Could not open the microphone: ${error?.message || 'unknown error'}`);
+    }
+})();
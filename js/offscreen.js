@@ -0,0 +1,240 @@
+// Offscreen document that does the recording: getUserMedia and MediaRecorder are not available in the
+// service worker, and unlike the popup this page stays open while a recording runs.
+// The background worker creates it for a recording and closes it once the recording is stopped.
+// Sources are the microphone, or a tab's audio (chrome.tabCapture stream id) with the microphone optionally mixed in.
+const Recorder = {
+    LEVEL_INTERVAL_MS: 100,
+    TIMESLICE_MS: 1000,
+    MIME_TYPES: ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'],
+    LEVEL_FLOOR_DB: -60, // Shown as an empty meter
+
+    status: 'idle',
+    source: null,
+    title: '',
+    streams: [],
+    recorder: null,
+    chunks: [],
+    context: null,
+    analyser: null,
+    levelTimer: null,
+    elapsedMs: 0,
+    resumedAt: 0,
+
+    elapsed() {
+        return this.elapsedMs + (this.status === 'recording' ? Date.now() - this.resumedAt : 0);
+    },
+
+    state(level = 0) {
+        return { status: this.status, source: this.source, elapsed: Math.round(this.elapsed() / 1000), level };
+    },
+
+    // The popup renders this; nobody may be listening
+    broadcast(level = 0) {
+        chrome.runtime.sendMessage({ target: 'popup', action: 'recordingState', data: this.state(level) }).catch(() => {});
+    },
+
+    // Status changes also go to the worker, which shows them in the badge
+    changed() {
+        this.broadcast();
+        chrome.runtime.sendMessage({ action: 'recordingStateChanged', data: this.state() }).catch(() => {});
+    },
+
+    // RMS of the latest samples on a -60..0 dB scale, as 0..1
+    level() {
+        if (!this.analyser) return 0;
+        const samples = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(samples);
+        const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+        const db = 20 * Math.log10(rms + 1e-10);
+        return Math.max(0, Math.min(1, (db - this.LEVEL_FLOOR_DB) / -this.LEVEL_FLOOR_DB));
+    },
+
+    // Resolves a stream or { error } in the shape start() returns
+    async openMicrophone() {
+        try {
+            return { stream: await navigator.mediaDevices.getUserMedia({ audio: true }) };
+        } catch (error) {
+            if (error?.name === 'NotAllowedError') {
+                return { error: { success: false, code: 'permission', message: 'Microphone access has not been granted to the extension.' } };
+            }
+            if (error?.name === 'NotFoundError') {
+                return { error: { success: false, message: 'No microphone was found.' } };
+            }
+            return { error: { success: false, message: `Could not open the microphone: ${error?.message || 'unknown error'}` } };
+        }
+    },
+
+    async openTab(streamId) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { mandatory: { chromeMediaSource: 'tab', chromeMediaSourceId: streamId } }
+            });
+            return { stream };
+        } catch (error) {
+            return { error: { success: false, message: `Could not capture the tab's audio: ${error?.message || 'unknown error'}` } };
+        }
+    },
+
+    async start({ source = 'microphone', streamId = null, includeMicrophone = false, title = '' } = {}) {
+        if (this.status !== 'idle') {
+            return { success: false, message: 'A recording is already running.' };
+        }
+        const opened = [];
+        if (source === 'tab') {
+            opened.push({ kind: 'tab', ...(await this.openTab(streamId)) });
+        }
+        if (source === 'microphone' || includeMicrophone) {
+            opened.push({ kind: 'microphone', ...(await this.openMicrophone()) });
+        }
+        const failed = opened.find(entry => entry.error);
+        if (failed) {
+            opened.forEach(entry => entry.stream?.getTracks().forEach(track => track.stop()));
+            return failed.error;
+        }
+
+        // Everything is mixed into one stream for MediaRecorder; the analyser hears the same mix
+        this.context = new AudioContext();
+        const mix = this.context.createMediaStreamDestination();
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        for (const { kind, stream } of opened) {
+            const node = this.context.createMediaStreamSource(stream);
+            node.connect(mix);
+            node.connect(this.analyser);
+            // A captured tab is muted for the user unless its audio is played back
+            if (kind === 'tab') node.connect(this.context.destination);
+            stream.getAudioTracks().forEach(track => {
+                track.onended = () => this.sourceEnded(kind);
+            });
+        }
+        this.streams = opened.map(entry => entry.stream);
+
+        const mimeType = this.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        this.chunks = [];
+        this.recorder = new MediaRecorder(mix.stream, mimeType ? { mimeType } : {});
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        };
+        this.recorder.start(this.TIMESLICE_MS);
+
+        this.source = source;
+        this.title = title;
+        this.status = 'recording';
+        this.elapsedMs = 0;
+        this.resumedAt = Date.now();
+        this.levelTimer = setInterval(() => this.broadcast(this.status === 'recording' ? this.level() : 0), this.LEVEL_INTERVAL_MS);
+        this.changed();
+        return { success: true, state: this.state() };
+    },
+
+    // A closed tab ends the recording, which is saved without waiting for the popup;
+    // an unplugged microphone pauses a microphone recording and drops out of a tab mix
+    async sourceEnded(kind) {
+        if (this.status === 'idle') return;
+        if (kind === 'tab') {
+            const result = await this.stop();
+            chrome.runtime.sendMessage({ action: 'recordingFinished', data: result }).catch(() => {});
+        } else if (this.source === 'microphone') {
+            this.pause();
+        }
+    },
+
+    pause() {
+        if (this.status !== 'recording') {
+            return { success: false, message: 'Nothing is being recorded.' };
+        }
+        this.recorder.pause();
+        this.elapsedMs = this.elapsed();
+        this.status = 'paused';
+        this.changed();
+        return { success: true, state: this.state() };
+    },
+
+    resume() {
+        if (this.status !== 'paused') {
+            return { success: false, message: 'The recording is not paused.' };
+        }
+        if (!this.streams.some(stream => stream.getAudioTracks().some(track => track.readyState === 'live'))) {
+            return { success: false, message: 'The microphone is no longer available. Stop the recording to keep what was recorded.' };
+        }
+        this.recorder.resume();
+        this.resumedAt = Date.now();
+        this.status = 'recording';
+        this.changed();
+        return { success: true, state: this.state() };
+    },
+
+    // Stage the recording in BlobStore like a picked file; the popup (or the worker) takes it from there by id
+    async stop() {
+        if (this.status === 'idle') {
+            return { success: false, message: 'Nothing is being recorded.' };
+        }
+        const duration = this.elapsed() / 1000;
+        const source = this.source;
+        const name = this.recordingName(new Date());
+        await new Promise((resolve) => {
+            this.recorder.onstop = resolve;
+            this.recorder.stop();
+        });
+        const type = (this.recorder.mimeType || 'audio/webm').split(';')[0];
+        const blob = new Blob(this.chunks, { type });
+        this.cleanup();
+        if (blob.size === 0) {
+            return { success: false, message: 'Nothing was recorded.' };
+        }
+
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const filename = `${name}.${type === 'audio/ogg' ? 'ogg' : 'webm'}`;
+        await BlobStore.stage(id, blob);
+        return { success: true, recording: { id, filename, type, duration, size: blob.size, source } };
+    },
+
+    // "Recording 2026-01-31 14-05-09", or the tab's title in front of the time for tab recordings
+    recordingName(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const time = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+        const title = this.source === 'tab' ? this.title.replace(/[\\/:*?"<>|]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 80) : '';
+        return `${title || 'Recording'} ${time}`;
+    },
+
+    cleanup() {
+        clearInterval(this.levelTimer);
+        this.levelTimer = null;
+        this.streams.forEach(stream => stream.getTracks().forEach(track => {
+            track.onended = null;
+            track.stop();
+        }));
+        this.context?.close().catch(() => {});
+        this.streams = [];
+        this.recorder = null;
+        this.context = null;
+        this.analyser = null;
+        this.chunks = [];
+        this.status = 'idle';
+        this.source = null;
+        this.title = '';
+        this.elapsedMs = 0;
+        this.changed();
+    }
+};
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request?.target !== 'offscreen') return;
+    const commands = {
+        start: () => Recorder.start(request.data),
+        pause: () => Recorder.pause(),
+        resume: () => Recorder.resume(),
+        stop: () => Recorder.stop(),
+        status: () => ({ success: true, state: Recorder.state() })
+    };
+    const command = commands[request.action];
+    if (!command) {
+        sendResponse({ success: false, message: 'Unknown recording command' });
+        return;
+    }
+    Promise.resolve()
+        .then(command)
+        .then(sendResponse)
+        .catch(error => sendResponse({ success: false, message: error?.message || 'Recording failed' }));
+    return true;
+});
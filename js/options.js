@@ -0,0 +1,375 @@
+const { createApp, h, ref, onMounted } = Vue;
+
+// "Name: value" lines <-> headers object
+function headersToText(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+function textToHeaders(text) {
+    const headers = {};
+    for (const line of (text || '').split('\n')) {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+        }
+    }
+    return headers;
+}
+
+// "name=value" lines <-> extra form fields of the generic REST backend
+function fieldsToText(fields) {
+    return Object.entries(fields || {}).map(([name, value]) => `${name}=${value}`).join('\n');
+}
+
+function textToFields(text) {
+    const fields = {};
+    for (const line of (text || '').split('\n')) {
+        const index = line.indexOf('=');
+        if (index > 0) {
+            fields[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+        }
+    }
+    return fields;
+}
+
+// Backend settings are edited as strings; formFields is the only map
+function optionsToForm(options) {
+    return { ...options, ...(options.formFields ? { formFields: fieldsToText(options.formFields) } : {}) };
+}
+
+function formToOptions(options) {
+    return { ...options, ...(typeof options.formFields === 'string' ? { formFields: textToFields(options.formFields) } : {}) };
+}
+
+// Profile <-> form fields (timeouts are edited in seconds/minutes, stored in ms)
+function profileToForm(profile) {
+    return {
+        id: profile.id,
+        name: profile.name,
+        backend: profile.backend,
+        baseUrl: profile.baseUrl,
+        apiKey: profile.apiKey,
+        backendOptions: optionsToForm(profile.backendOptions),
+        headersText: headersToText(profile.headers),
+        requestTimeoutSec: Math.round(profile.requestTimeoutMs / 1000),
+        uploadTimeoutSec: Math.round(profile.uploadTimeoutMs / 1000),
+        transcriptionTimeoutMin: Math.round(profile.transcriptionTimeoutMs / 60000),
+        tokensPerMinute: profile.tokensPerMinute,
+        processingSpeed: profile.processingSpeed,
+        confirmAboveTokens: profile.confirmAboveTokens
+    };
+}
+
+function formToProfile(form) {
+    return ConfigStore.normalizeProfile({
+        id: form.id,
+        name: form.name,
+        backend: form.backend,
+        baseUrl: form.baseUrl,
+        apiKey: form.apiKey,
+        backendOptions: formToOptions(form.backendOptions),
+        headers: textToHeaders(form.headersText),
+        requestTimeoutMs: Number(form.requestTimeoutSec) * 1000,
+        uploadTimeoutMs: Number(form.uploadTimeoutSec) * 1000,
+        transcriptionTimeoutMs: Number(form.transcriptionTimeoutMin) * 60000,
+        tokensPerMinute: form.tokensPerMinute,
+        processingSpeed: form.processingSpeed,
+        confirmAboveTokens: form.confirmAboveTokens
+    });
+}
+
+const OptionsApp = {
+    setup() {
+        const profiles = ref([]);
+        const activeProfileId = ref(null);
+        const form = ref(null);
+        const message = ref(null);
+        const testResult = ref(null);
+        const isTesting = ref(false);
+
+        const showMessage = (type, text) => {
+            message.value = { type, text };
+        };
+
+        const load = async (selectId) => {
+            const state = await ConfigStore.getProfiles();
+            profiles.value = state.profiles;
+            activeProfileId.value = state.activeProfileId;
+            const selected = state.profiles.find(profile => profile.id === selectId)
+                || state.profiles.find(profile => profile.id === state.activeProfileId);
+            form.value = profileToForm(selected);
+        };
+
+        const selectProfile = (profile) => {
+            form.value = profileToForm(profile);
+            message.value = null;
+            testResult.value = null;
+        };
+
+        const newProfile = () => {
+            form.value = profileToForm(ConfigStore.normalizeProfile({
+                ...ConfigStore.DEFAULT_PROFILE,
+                id: ConfigStore.createProfileId(),
+                name: 'New profile'
+            }));
+            message.value = null;
+            testResult.value = null;
+        };
+
+        const updateField = (field) => (e) => {
+            form.value = { ...form.value, [field]: e?.target?.value ?? '' };
+        };
+
+        const updateOption = (key) => (e) => {
+            form.value = { ...form.value, backendOptions: { ...form.value.backendOptions, [key]: e?.target?.value ?? '' } };
+        };
+
+        // Switching backends starts from the new backend's default settings
+        const changeBackend = (e) => {
+            const backend = e?.target?.value;
+            form.value = {
+                ...form.value,
+                backend,
+                backendOptions: optionsToForm(ConfigStore.normalizeBackendOptions(backend, {}))
+            };
+            testResult.value = null;
+        };
+
+        // chrome.permissions.request must run inside the click, before any await
+        const requestHostPermission = (profile) => {
+            try {
+                return chrome.permissions.request({ origins: [ConfigStore.originPattern(profile.baseUrl)] });
+            } catch (_) {
+                return Promise.resolve(false);
+            }
+        };
+
+        const saveProfile = async () => {
+            const profile = formToProfile(form.value);
+            const errors = ConfigStore.validateProfile(profile);
+            if (errors.length > 0) {
+                showMessage('error', errors[0]);
+                return;
+            }
+            const granted = await requestHostPermission(profile);
+            try {
+                await ConfigStore.saveProfile(profile);
+                await load(profile.id);
+                showMessage(granted ? 'success' : 'warning', granted
+                    ? 'Profile saved.'
+                    : 'Profile saved, but the extension was not allowed to reach this server.');
+            } catch (e) {
+                showMessage('error', e.message);
+            }
+        };
+
+        const deleteProfile = async () => {
+            try {
+                await ConfigStore.deleteProfile(form.value.id);
+                await load();
+                showMessage('success', 'Profile deleted.');
+            } catch (e) {
+                showMessage('error', e.message);
+            }
+        };
+
+        const makeActive = async (profile) => {
+            try {
+                await ConfigStore.setActiveProfile(profile.id);
+                await load(form.value?.id);
+                showMessage('success', `"${profile.name}" is now used for all uploads.`);
+            } catch (e) {
+                showMessage('error', e.message);
+            }
+        };
+
+        const testConnection = async () => {
+            const profile = formToProfile(form.value);
+            const errors = ConfigStore.validateProfile(profile);
+            if (errors.length > 0) {
+                testResult.value = { healthy: false, text: errors[0] };
+                return;
+            }
+            const granted = await requestHostPermission(profile);
+            if (!granted) {
+                testResult.value = { healthy: false, text: 'Permission to reach this server was not granted.' };
+                return;
+            }
+            isTesting.value = true;
+            testResult.value = null;
+            const res = await new Promise((resolve) => {
+                chrome.runtime.sendMessage({ action: 'checkApiHealth', data: { profile } }, (r) => resolve(r || {}));
+            });
+            isTesting.value = false;
+            if (res.healthy) {
+                testResult.value = { healthy: true, text: `Connected (HTTP ${res.status}, ${res.latencyMs} ms)` };
+            } else {
+                testResult.value = { healthy: false, text: res.error || `Server answered HTTP ${res.status}` };
+            }
+        };
+
+        onMounted(async () => {
+            try {
+                await load();
+            } catch (e) {
+                console.error('Failed to load connection profiles:', e);
+                showMessage('error', 'Failed to load settings.');
+            }
+        });
+
+        return {
+            profiles,
+            activeProfileId,
+            form,
+            message,
+            testResult,
+            isTesting,
+            selectProfile,
+            newProfile,
+            updateField,
+            updateOption,
+            changeBackend,
+            saveProfile,
+            deleteProfile,
+            makeActive,
+            testConnection
+        };
+    },
+
+    render() {
+        const {
+            profiles, activeProfileId, form, message, testResult, isTesting,
+            selectProfile, newProfile, updateField, updateOption, changeBackend,
+            saveProfile, deleteProfile, makeActive, testConnection
+        } = this;
+
+        const input = (value, onInput, attrs) => h(attrs.multiline ? 'textarea' : 'input', {
+            class: 'field-input',
+            value,
+            onInput,
+            ...attrs
+        });
+
+        const field = (label, key, attrs = {}, hint) => h('label', { class: 'field' }, [
+            h('span', { class: 'field-label' }, label),
+            input(form[key], updateField(key), attrs),
+            hint && h('span', { class: 'field-hint' }, hint)
+        ]);
+
+        const optionField = (label, key, attrs = {}, hint) => h('label', { class: 'field' }, [
+            h('span', { class: 'field-label' }, label),
+            input(form.backendOptions[key], updateOption(key), attrs),
+            hint && h('span', { class: 'field-hint' }, hint)
+        ]);
+
+        const renderBackendOptions = () => {
+            if (form.backend === 'openai') {
+                return [
+                    h('div', { class: 'field-row' }, [
+                        optionField('Model', 'model', { placeholder: 'whisper-1' }),
+                        optionField('Language', 'language', { placeholder: 'auto' }, 'e.g. en, de; empty to detect')
+                    ]),
+                    optionField('Prompt', 'prompt', { placeholder: 'Optional vocabulary or style hint' })
+                ];
+            }
+            if (form.backend === 'rest') {
+                return [
+                    h('div', { class: 'field-row' }, [
+                        optionField('Endpoint path', 'path', { placeholder: '/transcribe' }),
+                        optionField('File field', 'fileField', { placeholder: 'file' }),
+                        optionField('Health check path', 'healthPath', { placeholder: '/health' })
+                    ]),
+                    optionField('Extra form fields', 'formFields', { multiline: true, rows: 3, placeholder: 'language=en' },
+                        'One "name=value" per line, sent with the file.'),
+                    h('div', { class: 'field-row' }, [
+                        optionField('Transcript path', 'transcriptPath', { placeholder: 'text' }),
+                        optionField('Words path', 'wordsPath', { placeholder: 'words' })
+                    ]),
+                    h('div', { class: 'field-row' }, [
+                        optionField('Word text key', 'wordTextKey', { placeholder: 'word' }),
+                        optionField('Word start key', 'wordStartKey', { placeholder: 'start' }),
+                        optionField('Word end key', 'wordEndKey', { placeholder: 'end' })
+                    ]),
+                    h('p', { class: 'field-hint' },
+                        'Paths are dot separated, e.g. result.transcript or segments.0.words. A plain-text response is used as the transcript.')
+                ];
+            }
+            return [];
+        };
+
+        return h('div', { class: 'options' }, [
+            h('div', { class: 'header' }, [
+                h('img', { src: 'icons/icon32.png', alt: 'Open AudioAi', class: 'logo' }),
+                h('h1', 'Open AudioAi Settings')
+            ]),
+
+            h('div', { class: 'layout' }, [
+                // Profile list
+                h('div', { class: 'profile-list' }, [
+                    h('h2', 'Connection profiles'),
+                    profiles.map(profile => h('div', {
+                        class: ['profile-item', { selected: form && form.id === profile.id }],
+                        onClick: () => selectProfile(profile)
+                    }, [
+                        h('div', { class: 'profile-name' }, [
+                            profile.name,
+                            profile.id === activeProfileId && h('span', { class: 'active-badge' }, 'Active')
+                        ]),
+                        h('div', { class: 'profile-url' }, profile.baseUrl),
+                        profile.id !== activeProfileId && h('button', {
+                            class: 'link-btn',
+                            onClick: (e) => { e.stopPropagation(); makeActive(profile); }
+                        }, 'Use this profile')
+                    ])),
+                    h('button', { class: 'secondary-btn', onClick: newProfile }, '+ New profile')
+                ]),
+
+                // Profile editor
+                form && h('div', { class: 'profile-editor' }, [
+                    field('Name', 'name', { placeholder: 'Office server' }),
+                    h('label', { class: 'field' }, [
+                        h('span', { class: 'field-label' }, 'Backend'),
+                        h('select', { class: 'field-input', value: form.backend, onChange: changeBackend },
+                            Object.entries(ConfigStore.BACKENDS).map(([id, backend]) =>
+                                h('option', { value: id, selected: form.backend === id }, backend.label)))
+                    ]),
+                    field('Base URL', 'baseUrl', { placeholder: 'https://transcribe.example.com' },
+                        form.backend === 'openai'
+                            ? 'Without /v1, e.g. https://api.openai.com or http://localhost:8000. Use https:// for anything other than localhost.'
+                            : 'Use https:// for anything other than localhost.'),
+                    form.backend !== 'open-audioai' && field('API key', 'apiKey', { type: 'password', autocomplete: 'off' },
+                        'Sent as "Authorization: Bearer <key>". Your Google sign-in is only sent to Open AudioAi servers.'),
+                    ...renderBackendOptions(),
+                    h('div', { class: 'field-row' }, [
+                        field('Request timeout (s)', 'requestTimeoutSec', { type: 'number', min: 0 }),
+                        field('Upload timeout (s)', 'uploadTimeoutSec', { type: 'number', min: 0 }),
+                        field('Transcription timeout (min)', 'transcriptionTimeoutMin', { type: 'number', min: 0 })
+                    ]),
+                    h('p', { class: 'field-hint' }, '0 disables a timeout.'),
+                    h('div', { class: 'field-row' }, [
+                        field('Tokens per minute', 'tokensPerMinute', { type: 'number', min: 0, step: 'any' }),
+                        field('Processing speed (× real time)', 'processingSpeed', { type: 'number', min: 0.1, step: 'any' }),
+                        field('Confirm above (tokens)', 'confirmAboveTokens', { type: 'number', min: 0 })
+                    ]),
+                    h('p', { class: 'field-hint' }, 'Used for the cost preview before upload. 0 in "Confirm above" never asks.'),
+                    field('Extra headers', 'headersText', { multiline: true, rows: 4, placeholder: 'X-Team: research' },
+                        'One "Name: value" per line. Sent with every request to this server.'),
+
+                    h('div', { class: 'editor-actions' }, [
+                        h('button', { class: 'primary-btn', onClick: saveProfile }, 'Save'),
+                        h('button', { class: 'secondary-btn', disabled: isTesting, onClick: testConnection },
+                            isTesting ? 'Testing…' : 'Test connection'),
+                        profiles.length > 1 && profiles.some(profile => profile.id === form.id) &&
+                            h('button', { class: 'danger-btn', onClick: deleteProfile }, 'Delete')
+                    ]),
+
+                    testResult && h('div', { class: ['test-result', testResult.healthy ? 'ok' : 'fail'] },
+                        `${testResult.healthy ? '✅' : '❌'} ${testResult.text}`),
+                    message && h('div', { class: ['message', message.type] }, message.text)
+                ])
+            ])
+        ]);
+    }
+};
+
+createApp(OptionsApp).mount('#app');
@@ -1,4 +1,4 @@
-const { createApp, h, ref, onMounted } = Vue;
+const { createApp, h, ref, onMounted, nextTick } = Vue;
 
 // Security utilities
 const SecurityUtils = {
@@ -13,31 +13,9 @@ const SecurityUtils = {
             .replace(/'/g, '&#x27;');
     },
 
-    // Validate file type and size
-    validateAudioFile(file) {
-        const allowedTypes = [
-            'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg',
-            'audio/aac', 'audio/m4a', 'audio/mp4', 'audio/x-m4a', 'audio/flac'
-        ];
-        const allowedExtensions = ['mp3', 'wav', 'ogg', 'aac', 'm4a', 'flac'];
-        const maxSize = 500 * 1024 * 1024; // 500MB
-
-        const hasValidMime = !!file.type && allowedTypes.includes(file.type);
-        let extension = '';
-        if (file.name && file.name.indexOf('.') !== -1) {
-            extension = file.name.split('.').pop().toLowerCase();
-        }
-        const hasValidExtension = allowedExtensions.includes(extension);
-
-        if (!hasValidMime && !hasValidExtension) {
-            throw new Error('Invalid file type. Please upload an audio file.');
-        }
-
-        if (file.size > maxSize) {
-            throw new Error('File too large. Please upload a file smaller than 500MB.');
-        }
-
-        return true;
+    // Validate file content and size (see js/audio-formats.js); resolves { format, duration }
+    async validateAudioFile(file) {
+        return await AudioFormats.validate(file);
     },
 
     // Generate secure random nonce for requests
@@ -50,21 +28,23 @@ const SecurityUtils = {
 
 // API Service for secure communication
 const ApiService = {
-    baseUrl: 'http://localhost:8000', // Replace with actual server URL
-
+    // Server address, extra headers and timeouts come from the active connection profile (js/config.js)
     async makeSecureRequest(endpoint, data, token) {
         const nonce = SecurityUtils.generateNonce();
         
         try {
-            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+            const profile = await ConfigStore.getActiveProfile();
+            const response = await fetch(`${profile.baseUrl}${endpoint}`, {
                 method: 'POST',
                 headers: {
+                    ...profile.headers,
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`,
                     'X-Nonce': nonce,
                     
                 },
-                body: JSON.stringify({ ...data, nonce })
+                body: JSON.stringify({ ...data, nonce }),
+                signal: profile.requestTimeoutMs > 0 ? AbortSignal.timeout(profile.requestTimeoutMs) : undefined
             });
 
             if (!response.ok) {
@@ -76,85 +56,76 @@ const ApiService = {
             console.error('API request failed:', error);
             throw error;
         }
-    },
-
-    async uploadAudio(file, token) {
-        const formData = new FormData();
-        formData.append('audio_file', file);
-        formData.append('nonce', SecurityUtils.generateNonce());
+    }
+};
 
-        try {
-            const response = await fetch(`${this.baseUrl}/transcribe/`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                body: formData
-            });
+// Labels for the processing stages reported on pending records
+const STAGE_LABELS = {
+    downloading: 'Downloading',
+    uploading: 'Uploading',
+    retrying: 'Retrying',
+    queued: 'Queued',
+    decoding: 'Decoding audio',
+    transcribing: 'Transcribing',
+    aligning: 'Aligning timestamps'
+};
 
-            const text = await response.text();
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+const SPEAKER_COLORS = ['#667eea', '#38a169', '#dd6b20', '#d53f8c', '#319795', '#805ad5']; // By order of first appearance
+const SKIP_BACK_SECONDS = 5;
 
-            if (!response.ok) {
-                let errorMessage = `HTTP error! status: ${response.status}`;
-                try {
-                    const errObj = text ? JSON.parse(text) : null;
-                    if (errObj?.message) errorMessage = errObj.message;
-                } catch (_) {}
-                throw new Error(errorMessage);
-            }
+function formatBytes(bytes) {
+    const value = Number(bytes) || 0;
+    if (value < 1024) return `${value} B`;
+    if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+    if (value < 1024 * 1024 * 1024) return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(value / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
 
-            // Normalize 200 OK responses
-            try {
-                const obj = text ? JSON.parse(text) : {};
-                if (typeof obj === 'object' && obj !== null) {
-                    // New format preferred
-                    if (typeof obj.code !== 'undefined') {
-                        return obj;
-                    }
-                    // Legacy or partial: assume success
-                    return {
-                        code: 1,
-                        transcript: obj.transcript || text || '',
-                        words: Array.isArray(obj.words) ? obj.words : []
-                    };
-                }
-            } catch (_) {
-                // Not JSON; treat whole body as transcript
-                return { code: 1, transcript: text || '', words: [] };
-            }
+// 75.4 -> "1:15", 3725 -> "1:02:05"
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(Number(seconds) || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
 
-            // Fallback
-            return { code: 1, transcript: text || '', words: [] };
-        } catch (error) {
-            console.error('Audio upload failed:', error);
-            throw error;
-        }
-    }
-};
+// Why a downloaded link or an unreadable file waits for the user before it is uploaded
+function confirmationNote(item) {
+    const reasons = [];
+    if (item.confirmation.video) reasons.push('This link is a video; the whole file will be uploaded.');
+    if (item.confirmation.videoUnknown) reasons.push('The browser could not tell in time whether this file has video, so the whole file will be uploaded.');
+    if (item.confirmation.costUnknown) reasons.push('Its length, and so its cost, could not be read from the file.');
+    if (reasons.length === 0 && item.audioInfo?.estimatedTokens != null) reasons.push(`Estimated ~${item.audioInfo.estimatedTokens} tokens.`);
+    return `${reasons.join(' ')} Confirm to transcribe.`.trim();
+}
 
-// Helper: combine transcript text and words into single text for display/copy
-function buildCombinedTranscript(transcript, words) {
+function hostOf(url) {
     try {
-        const payload = {
-            transcript: transcript || '',
-            words: Array.isArray(words) ? words : []
-        };
-        return JSON.stringify(payload, null, 2);
-    } catch (e) {
-        return (typeof transcript === 'string' ? transcript : '') + '\n\n[words unavailable]';
+        return new URL(url).hostname;
+    } catch (_) {
+        return url;
     }
 }
 
-// Replace direct upload with background upload via messaging and load stored transcripts
+// "44.1 kHz · stereo" from whatever the file header told us
+function formatAudioInfo(info) {
+    const parts = [];
+    if (info?.sampleRate) parts.push(`${Number((info.sampleRate / 1000).toFixed(1))} kHz`);
+    if (info?.channels) parts.push({ 1: 'mono', 2: 'stereo' }[info.channels] || `${info.channels} channels`);
+    return parts.join(' · ');
+}
+
+function formatEta(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '';
+    if (seconds < 60) return `~${Math.max(1, Math.round(seconds))}s left`;
+    if (seconds < 3600) return `~${Math.round(seconds / 60)} min left`;
+    return `~${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m left`;
+}
+
+// The background worker owns every upload and transcript record; the popup submits files and observes progress
 const BackgroundBridge = {
-    startUpload(data) {
-        return new Promise((resolve) => {
-            chrome.runtime.sendMessage(
-                { action: 'startBackgroundUpload', data },
-                (response) => resolve(response || { success: false, message: 'No response' })
-            );
-        });
-    },
     async getTranscripts() {
         return new Promise((resolve) => {
             chrome.runtime.sendMessage({ action: 'getTranscripts' }, (res) => resolve(res));
@@ -162,30 +133,6 @@ const BackgroundBridge = {
     }
 };
 
-// Listen for progress from background
-chrome.runtime.onMessage.addListener((request) => {
-    if (request?.action === 'uploadProgress') {
-        const data = request.data || {};
-        try {
-            if (data.status === 'success') {
-                // Replace pending record if exists and set visible transcript
-                // We cannot access refs directly here; rely on window.App if exposed or use storage refresh
-                chrome.storage.local.get(['transcripts']).then(({ transcripts = [] }) => {
-                    const updated = transcripts.map(t => t.id === data.id ? ({
-                        ...t,
-                        status: 'success',
-                        transcript: typeof data.transcript === 'string' ? data.transcript : (t.transcript || ''),
-                        error: null
-                    }) : t);
-                    chrome.storage.local.set({ transcripts: updated });
-                });
-            }
-        } catch (e) {
-            console.warn('Progress handler error:', e);
-        }
-    }
-});
-
 const App = {
     setup() {
         // Reactive state
@@ -193,6 +140,12 @@ const App = {
         const isLoading = ref(false);
         const user = ref(null);
         const transcript = ref('');
+        const readyRecord = ref(null); // The record shown as "Transcript Ready"
+        const transcriptView = ref('plain'); // 'plain' or 'timestamped', for display, copy and send
+        const player = ref(null); // { id, url, activeWord } while the ready transcript's kept audio is open
+        const playerAudio = ref(null);
+        const playbackRate = ref(1);
+        const renamingSpeaker = ref(null); // { label, name } while a speaker of the ready transcript is renamed
         const isProcessing = ref(false);
         const processingMessage = ref('');
         const error = ref(null);
@@ -200,8 +153,19 @@ const App = {
         const isCopied = ref(false);
         const copiedItemId = ref(null);
         const showTokenWarning = ref(false);
+        const costConfirmation = ref(null);
         const fileInput = ref(null);
         const transcriptsList = ref([]);
+        const queueIds = ref([]);
+        const maxConcurrentUploads = ref(2);
+        const reduceAudio = ref(false);
+        const trimSilence = ref('off');
+        const recording = ref({ status: 'idle', source: null, elapsed: 0, level: 0 });
+        const pendingRecording = ref(null); // { id, filename, type, duration, size } stopped but not queued yet
+        const mixMicrophone = ref(false);
+        const importUrl = ref('');
+        const batch = ref(null);
+        const batchProgress = ref('');
         const editingId = ref(null);
         const editingText = ref('');
         const editingFilename = ref('');
@@ -213,6 +177,24 @@ const App = {
         BackgroundBridge.updateTranscript = (payload) => new Promise((resolve) => {
             chrome.runtime.sendMessage({ action: 'updateTranscript', data: payload }, (res) => resolve(res));
         });
+        BackgroundBridge.cancelUpload = (id) => new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'cancelUpload', data: { id } }, (res) => resolve(res));
+        });
+        BackgroundBridge.enqueueUpload = (payload) => new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'enqueueUpload', data: payload }, (res) => resolve(res || { success: false, message: 'No response' }));
+        });
+        BackgroundBridge.queueAction = (action, payload) => new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action, data: payload }, (res) => resolve(res));
+        });
+        BackgroundBridge.recordingCommand = (command, options) => new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'recordingCommand', data: { command, options } }, (res) => resolve(res || { success: false, message: 'No response' }));
+        });
+        BackgroundBridge.discardRecording = (id) => new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'discardRecording', data: { id } }, (res) => resolve(res));
+        });
+        BackgroundBridge.signOut = () => new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'signOut' }, (res) => resolve(res));
+        });
         
         const updateEditingText = (e) => {
             editingText.value = e?.target?.value ?? '';
@@ -312,6 +294,11 @@ const App = {
         const logout = async () => {
             try {
                 const data = await chrome.storage.local.get(['authToken']);
+                // The worker cancels running uploads and jobs before it drops the token
+                const res = await BackgroundBridge.signOut();
+                if (!res?.success) {
+                    throw new Error(res?.message || 'Sign-out failed');
+                }
                 if (data.authToken) {
                     try {
                         await chrome.identity.removeCachedAuthToken({ token: data.authToken });
@@ -327,7 +314,6 @@ const App = {
                 }
 
                 await new Promise((resolve) => chrome.identity.clearAllCachedAuthTokens(() => resolve()));
-                await chrome.storage.local.clear();
                 user.value = null;
                 isAuthenticated.value = false;
                 resetUpload();
@@ -337,20 +323,13 @@ const App = {
         };
 
         const handleFileSelect = (event) => {
-            const file = event.target.files[0];
-            if (file) {
-                processAudioFile(file);
-            }
+            processFiles(event.target.files);
         };
 
         const handleDrop = (event) => {
             event.preventDefault();
             isDragOver.value = false;
-            
-            const files = event.dataTransfer.files;
-            if (files.length > 0) {
-                processAudioFile(files[0]);
-            }
+            processFiles(event.dataTransfer.files);
         };
 
         const handleDragOver = (event) => {
@@ -363,100 +342,334 @@ const App = {
             isDragOver.value = false;
         };
 
-        const processAudioFile = async (file) => {
-            try {
-                SecurityUtils.validateAudioFile(file);
-                clearError();
+        // Validate, optionally convert, stage and queue one file; throws with a message for the user.
+        // Resolves false when the user declines the cost. known: facts the caller has that the file may not say,
+        // like the length of a fresh recording, and stagedId when the file is already in BlobStore under that id.
+        const queueFile = async (file, known = {}, batchId = null) => {
+            processingMessage.value = 'Checking file…';
+            const { format, sampleRate, channels, hasVideo, ...checked } = await SecurityUtils.validateAudioFile(file);
+            const duration = checked.duration ?? known.duration ?? null;
+
+            const data = await chrome.storage.local.get(['authToken']);
+            if (!data.authToken) {
+                throw new Error('Authentication required');
+            }
+
+            // Cost preview from the active profile's rates, shown on every card; large files need an explicit OK first
+            const profile = await ConfigStore.getActiveProfile();
+            const estimate = duration ? ConfigStore.estimateCost(profile, duration) : null;
+            if (estimate && profile.confirmAboveTokens > 0 && estimate.tokens > profile.confirmAboveTokens) {
+                const confirmed = await confirmCost({ filename: file.name, duration, sampleRate, channels, ...estimate });
+                if (!confirmed) return false;
+            }
 
-                const data = await chrome.storage.local.get(['authToken', 'transcripts']);
-                if (!data.authToken) {
-                    throw new Error('Authentication required');
+            // Videos: only the audio track is uploaded; the record keeps the video's name
+            let source = { blob: file, format, sampleRate, channels };
+            let filename = file.name || 'audio.m4a';
+            let sourceVideo = null;
+            if (hasVideo) {
+                processingMessage.value = 'Extracting audio…';
+                try {
+                    const extracted = await VideoAudioExtractor.extract(file, format, duration, (fraction) => {
+                        processingMessage.value = `Extracting audio… ${Math.round(fraction * 100)}%`;
+                    });
+                    const extractedFormat = AudioFormats.FORMATS.find(candidate => candidate.id === extracted.extension);
+                    source = extracted.extension === 'wav'
+                        ? { blob: extracted.blob, format: extractedFormat, sampleRate: AudioPreprocessor.TARGET_SAMPLE_RATE, channels: 1 }
+                        : { blob: extracted.blob, format: extractedFormat, sampleRate, channels };
+                    filename = `${filename.replace(/\.[^.]*$/, '')}.${extracted.extension}`;
+                } catch (extractError) {
+                    throw new Error(`Could not extract the audio from "${file.name}". ${extractError?.message || ''}`.trim());
                 }
+                sourceVideo = file.name;
+            }
 
-                // Create a pending record immediately
-                const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-                const pendingRecord = {
-                    id,
-                    filename: file.name || 'audio.m4a',
-                    createdAt: Date.now(),
-                    status: 'pending',
-                    transcript: '',
-                    words: [],
-                    error: null
-                };
-                const existing = Array.isArray(data.transcripts) ? data.transcripts : [];
-                await chrome.storage.local.set({ transcripts: [pendingRecord, ...existing] });
-                await loadTranscripts();
+            // Optional: downmix and resample to 16 kHz mono, and/or trim silence (which also converts to 16 kHz mono).
+            // The original is kept if that fails, or if it is neither smaller nor shorter.
+            let upload = source.blob;
+            let reduction = null;
+            const silence = trimSilence.value;
+            if ((reduceAudio.value || silence !== 'off') && AudioPreprocessor.canReduce({ ...source, duration }, { silence })) {
+                const label = reduceAudio.value ? 'Reducing to 16 kHz mono…' : 'Trimming silence…';
+                processingMessage.value = label;
+                try {
+                    const reduced = await AudioPreprocessor.reduce(source.blob, source.format, duration, (fraction) => {
+                        processingMessage.value = `${label} ${Math.round(fraction * 100)}%`;
+                    }, { silence });
+                    if (reduced.blob.size < source.blob.size || reduced.timeMap) {
+                        upload = reduced.blob;
+                        reduction = reduced;
+                    }
+                } catch (reduceError) {
+                    console.warn('Audio reduction failed, uploading the original:', reduceError);
+                }
+            }
 
-                // Upload directly to server with the File to support large sizes
-                const result = await ApiService.uploadAudio(file, data.authToken);
+            // The probe timed out, so no audio was extracted; unless it was converted above, the whole file
+            // waits for a confirmation like a video link does
+            const confirmation = hasVideo === null && upload === file ? { videoUnknown: true } : null;
 
-                // New format: { code: 1 | 2, transcript?: string, words?: Array }
-                if (!result || Number(result.code) !== 1) {
-                    throw new Error(result?.message || 'Upload failed');
+            // Stage the File in IndexedDB in parts and queue it by id; the file itself never goes through messaging.
+            // A file that is already staged, like a recording, is queued under its own id unless it was converted.
+            const stagedId = known.stagedId || null;
+            const id = stagedId && upload === file ? stagedId : `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            if (id !== stagedId) {
+                processingMessage.value = 'Preparing file…';
+                try {
+                    await BlobStore.stage(id, upload, (written, total) => {
+                        processingMessage.value = `Preparing file… ${Math.round((written / total) * 100)}%`;
+                    });
+                } catch (stageError) {
+                    await BlobStore.delete(id).catch(() => {});
+                    throw new Error(`Could not prepare the file for upload: ${stageError?.message || 'storage unavailable'}`);
                 }
-
-                // Update the record to success
-                const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-                const combinedText = buildCombinedTranscript(result.transcript, result.words);
-                let found = false;
-                let updated = transcripts.map(t => {
-                    if (t.id === id) {
-                        found = true;
-                        return {
-                            ...t,
-                            status: 'success',
-                            transcript: combinedText,
-                            words: Array.isArray(result.words) ? result.words : [],
-                            error: null
-                        };
-                    }
-                    return t;
-                });
-                if (!found) {
-                    // Fallback: replace first pending or prepend new record
-                    const pendingIdx = updated.findIndex(t => t.status === 'pending');
-                    const successRecord = {
-                        id,
-                        filename: file.name || 'audio.m4a',
-                        createdAt: Date.now(),
-                        status: 'success',
-                        transcript: combinedText,
-                        words: Array.isArray(result.words) ? result.words : [],
-                        error: null
-                    };
-                    if (pendingIdx !== -1) {
-                        updated[pendingIdx] = successRecord;
-                    } else {
-                        updated = [successRecord, ...updated];
-                    }
+            }
+            const res = await BackgroundBridge.enqueueUpload({
+                id,
+                filename,
+                sourceVideo,
+                batchId,
+                confirmation,
+                token: data.authToken,
+                audio: {
+                    format: source.format.id,
+                    duration,
+                    sampleRate,
+                    channels,
+                    estimatedTokens: estimate?.tokens ?? null,
+                    estimatedSeconds: estimate?.processingSeconds ?? null,
+                    originalSize: file.size,
+                    uploadSize: upload.size,
+                    reduced: upload !== file,
+                    uploadDuration: reduction?.duration ?? null,
+                    // Word timestamps come back on the trimmed timeline; the worker maps them to the original
+                    timeMap: reduction?.timeMap ?? null
                 }
-                // Optimistically update UI
-                transcriptsList.value = updated;
-                transcript.value = combinedText;
-                await chrome.storage.local.set({ transcripts: updated });
+            });
+            if (!res?.success) {
+                if (id !== stagedId) await BlobStore.delete(id).catch(() => {});
+                throw new Error(res?.message || 'Failed to queue upload');
+            }
+            if (stagedId && id !== stagedId) {
+                await BackgroundBridge.discardRecording(stagedId);
+            }
+            return true;
+        };
+
+        const processAudioFile = async (file, known = {}) => {
+            try {
+                clearError();
+                isProcessing.value = true;
+                await queueFile(file, known);
+                await loadTranscripts();
             } catch (error) {
                 console.error('File processing failed:', error);
-                if (error.message.includes('tokens') || error.message.includes('quota')) {
-                    showTokenWarning.value = true;
-                } else {
-                    // Mark latest pending as error if exists
+                showError('Processing Failed', error.message);
+            } finally {
+                isProcessing.value = false;
+                processingMessage.value = '';
+                if (fileInput.value) fileInput.value.value = '';
+            }
+        };
+
+        // Several files are queued one after another as a batch; a file that fails its checks does not stop the rest
+        const processFiles = async (fileList) => {
+            const files = Array.from(fileList || []);
+            if (files.length <= 1) {
+                if (files[0]) await processAudioFile(files[0]);
+                return;
+            }
+            const id = `batch-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const rejected = [];
+            let skipped = 0;
+            try {
+                clearError();
+                isProcessing.value = true;
+                for (const [index, file] of files.entries()) {
+                    batchProgress.value = `File ${index + 1} of ${files.length}: ${file.name}`;
                     try {
-                        const { transcripts = [] } = await chrome.storage.local.get(['transcripts']);
-                        const idx = transcripts.findIndex(t => t.status === 'pending');
-                        if (idx !== -1) {
-                            transcripts[idx] = { ...transcripts[idx], status: 'error', error: error.message };
-                            await chrome.storage.local.set({ transcripts });
-                            await loadTranscripts();
-                        }
-                    } catch (_) {}
-                    showError('Processing Failed', error.message);
+                        if (!(await queueFile(file, {}, id))) skipped++;
+                    } catch (fileError) {
+                        console.warn('File rejected from batch:', file.name, fileError);
+                        rejected.push({ filename: file.name, message: fileError.message });
+                    }
                 }
+                batch.value = { id, total: files.length - skipped, rejected, createdAt: Date.now() };
+                await chrome.storage.local.set({ lastBatch: batch.value });
+                await loadTranscripts();
             } finally {
+                isProcessing.value = false;
+                processingMessage.value = '';
+                batchProgress.value = '';
                 if (fileInput.value) fileInput.value.value = '';
             }
         };
 
+        const updateImportUrl = (e) => {
+            importUrl.value = e?.target?.value ?? '';
+        };
+
+        // The worker downloads the file, so the popup may close; the record shows the download's progress
+        const submitImportUrl = async (event) => {
+            if (event) event.preventDefault();
+            clearError();
+            let origin;
+            try {
+                const url = new URL(importUrl.value.trim());
+                if (!['http:', 'https:'].includes(url.protocol)) throw new Error('unsupported protocol');
+                origin = ConfigStore.originPattern(url.href);
+            } catch (_) {
+                showError('Invalid Link', 'Please enter an http or https link to an audio file.');
+                return;
+            }
+            // chrome.permissions.request must run inside the click, before any await
+            const granted = await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+            if (!granted) {
+                showError('Access Needed', `The extension needs access to ${origin.replace('/*', '')} to download the file.`);
+                return;
+            }
+            const { authToken } = await chrome.storage.local.get(['authToken']);
+            const res = await new Promise((resolve) => {
+                chrome.runtime.sendMessage({ action: 'enqueueUrl', data: { url: importUrl.value.trim(), token: authToken } }, (response) => resolve(response));
+            });
+            if (!res?.success) {
+                showError('Download Failed', res?.message || 'Could not start the download.');
+                return;
+            }
+            importUrl.value = '';
+            await loadTranscripts();
+        };
+
+        const applyRecordingState = (state) => {
+            if (!state) return;
+            recording.value = { status: state.status || 'idle', source: state.source || null, elapsed: state.elapsed || 0, level: state.level || 0 };
+        };
+
+        // The stream id has to be requested here: opening the popup is what lets us capture the current tab
+        const tabCaptureOptions = async () => {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab) {
+                throw new Error('No tab to record.');
+            }
+            try {
+                const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tab.id });
+                return { source: 'tab', streamId, includeMicrophone: mixMicrophone.value, title: tab.title || '' };
+            } catch (captureError) {
+                throw new Error(`This tab cannot be recorded. ${captureError?.message || ''}`.trim());
+            }
+        };
+
+        // Recording runs in the background's offscreen document, so it continues while the popup is closed
+        const startRecording = async (source = 'microphone') => {
+            clearError();
+            let options = { source: 'microphone' };
+            if (source === 'tab') {
+                try {
+                    options = await tabCaptureOptions();
+                } catch (tabError) {
+                    showError('Recording Failed', tabError.message);
+                    return;
+                }
+            }
+            const res = await BackgroundBridge.recordingCommand('start', options);
+            if (res?.code === 'permission') {
+                chrome.tabs.create({ url: chrome.runtime.getURL('mic-permission.html') });
+                showError('Microphone Access Needed', 'Allow microphone access in the tab that just opened, then start recording again.');
+                return;
+            }
+            if (!res?.success) {
+                showError('Recording Failed', res?.message || 'Could not start recording.');
+                return;
+            }
+            applyRecordingState(res.state);
+        };
+
+        const runRecordingCommand = async (command) => {
+            const res = await BackgroundBridge.recordingCommand(command);
+            if (!res?.success) {
+                showError('Recording Failed', res?.message || 'The recorder did not respond.');
+                return;
+            }
+            applyRecordingState(res.state);
+        };
+        const pauseRecording = () => runRecordingCommand('pause');
+        const resumeRecording = () => runRecordingCommand('resume');
+
+        // The recorder stages the audio in BlobStore; it then goes through the same checks as a picked file.
+        // It stays staged (and offered again when the popup opens) until it is queued or discarded.
+        const queueRecording = async ({ id, filename, type, duration }) => {
+            const blob = await BlobStore.get(id).catch(() => null);
+            if (!(blob instanceof Blob)) {
+                await BackgroundBridge.discardRecording(id);
+                pendingRecording.value = null;
+                showError('Recording Failed', 'The recording could not be read back.');
+                return;
+            }
+            await processAudioFile(new File([blob], filename, { type }), { duration, stagedId: id });
+            const data = await chrome.storage.local.get(['pendingRecording']);
+            pendingRecording.value = data.pendingRecording || null;
+        };
+
+        const stopRecording = async () => {
+            const res = await BackgroundBridge.recordingCommand('stop');
+            applyRecordingState({ status: 'idle' });
+            if (!res?.success) {
+                showError('Recording Failed', res?.message || 'Could not stop recording.');
+                return;
+            }
+            pendingRecording.value = res.recording;
+            await queueRecording(res.recording);
+        };
+
+        const transcribePendingRecording = () => {
+            if (pendingRecording.value) queueRecording(pendingRecording.value);
+        };
+
+        const discardPendingRecording = async () => {
+            if (!pendingRecording.value) return;
+            await BackgroundBridge.discardRecording(pendingRecording.value.id);
+            pendingRecording.value = null;
+        };
+
+        // Update one saved item in place (live progress that is not worth a storage write)
+        const patchListItem = (id, fields) => {
+            transcriptsList.value = transcriptsList.value.map(t => t.id === id ? { ...t, ...fields } : t);
+        };
+
+        // Live progress from uploads running in the background worker
+        const handleBackgroundProgress = (request) => {
+            if (request?.action === 'recordingState') {
+                applyRecordingState(request.data);
+                return;
+            }
+            if (request?.action === 'uploadQueueChanged') {
+                loadTranscripts();
+                return;
+            }
+            if (request?.action === 'pendingRecordingChanged') {
+                pendingRecording.value = request.data || null;
+                return;
+            }
+            if (request?.action !== 'uploadProgress') return;
+            const data = request.data || {};
+            if (data.status === 'pending') {
+                const fields = { status: 'pending' };
+                if (data.stage) fields.stage = data.stage;
+                if (data.progress) fields.progress = data.progress;
+                if (data.stage === 'retrying') fields.partialSegments = null;
+                if (data.segment) {
+                    const item = transcriptsList.value.find(t => t.id === data.id);
+                    fields.partialSegments = [...(item?.partialSegments || []), data.segment];
+                }
+                patchListItem(data.id, fields);
+                return;
+            }
+            if (data.status === 'error' && (data.kind === 'insufficient_tokens' || /tokens|quota/i.test(data.message || ''))) {
+                showTokenWarning.value = true;
+            }
+            loadTranscripts();
+        };
+
         const copyTranscript = async () => {
             try {
                 await navigator.clipboard.writeText(transcript.value);
@@ -473,7 +686,7 @@ const App = {
         const copySavedTranscript = async (item, event) => {
             try {
                 if (event) event.stopPropagation();
-                await navigator.clipboard.writeText(item.transcript || '');
+                await navigator.clipboard.writeText(TranscriptRecord.formatText(item, transcriptView.value));
                 copiedItemId.value = item.id;
                 setTimeout(() => { copiedItemId.value = null; }, 1500);
             } catch (e) {
@@ -484,7 +697,7 @@ const App = {
         const startEdit = (item, event) => {
             if (event) event.stopPropagation();
             editingId.value = item.id;
-            editingText.value = item.transcript || '';
+            editingText.value = TranscriptRecord.plainText(item);
             editingFilename.value = item.filename || '';
         };
 
@@ -501,7 +714,7 @@ const App = {
                 if (!editingId.value) return;
                 const res = await BackgroundBridge.updateTranscript({
                     id: editingId.value,
-                    transcript: editingText.value,
+                    text: editingText.value,
                     filename: editingFilename.value
                 });
                 if (res?.success) {
@@ -515,6 +728,64 @@ const App = {
             }
         };
 
+        const cancelSaved = async (item, event) => {
+            try {
+                if (event) event.stopPropagation();
+                const res = await BackgroundBridge.cancelUpload(item.id);
+                if (!res?.success) {
+                    console.warn('Cancel upload failed:', res?.message);
+                }
+                await loadTranscripts();
+            } catch (e) {
+                console.error('Cancel upload failed:', e);
+            }
+        };
+
+        const runQueueAction = async (action, payload, event) => {
+            try {
+                if (event) event.stopPropagation();
+                const res = await BackgroundBridge.queueAction(action, payload);
+                if (!res?.success) {
+                    console.warn(`${action} failed:`, res?.message);
+                }
+                await loadTranscripts();
+            } catch (e) {
+                console.error(`${action} failed:`, e);
+            }
+        };
+
+        const retrySaved = async (item, event) => {
+            if (event) event.stopPropagation();
+            const res = await BackgroundBridge.queueAction('retryUpload', { id: item.id });
+            if (!res?.success) {
+                showError('Retry Failed', res?.message || 'Could not retry this upload.');
+            }
+            await loadTranscripts();
+        };
+        const pauseSaved = (item, event) => runQueueAction('pauseUpload', { id: item.id }, event);
+        const resumeSaved = (item, event) => runQueueAction('resumeUpload', { id: item.id }, event);
+        const moveSaved = (item, direction, event) => runQueueAction('moveUpload', { id: item.id, direction }, event);
+        // Stored with the worker's upload settings; only the popup reads it
+        const toggleReduceAudio = async (e) => {
+            reduceAudio.value = !!e?.target?.checked;
+            const { uploadSettings = {} } = await chrome.storage.local.get(['uploadSettings']);
+            await chrome.storage.local.set({ uploadSettings: { ...uploadSettings, reduceAudio: reduceAudio.value } });
+        };
+
+        const updateTrimSilence = async (e) => {
+            trimSilence.value = e?.target?.value || 'off';
+            const { uploadSettings = {} } = await chrome.storage.local.get(['uploadSettings']);
+            await chrome.storage.local.set({ uploadSettings: { ...uploadSettings, trimSilence: trimSilence.value } });
+        };
+
+        const toggleMixMicrophone = async (e) => {
+            mixMicrophone.value = !!e?.target?.checked;
+            const { uploadSettings = {} } = await chrome.storage.local.get(['uploadSettings']);
+            await chrome.storage.local.set({ uploadSettings: { ...uploadSettings, mixMicrophone: mixMicrophone.value } });
+        };
+
+        const updateConcurrency = (e) => runQueueAction('setUploadConcurrency', { maxConcurrentUploads: Number(e?.target?.value) });
+
         const deleteSaved = async (item, event) => {
             try {
                 if (event) event.stopPropagation();
@@ -529,18 +800,118 @@ const App = {
 
         const loadToReady = (item) => {
             if (item.status === 'success') {
-                transcript.value = item.transcript || '';
+                if (player.value && player.value.id !== item.id) closePlayer();
+                if (readyRecord.value?.id !== item.id) renamingSpeaker.value = null;
+                readyRecord.value = item;
+                transcript.value = TranscriptRecord.formatText(item, transcriptView.value);
+            }
+        };
+
+        const setTranscriptView = async (view) => {
+            transcriptView.value = view;
+            if (readyRecord.value) {
+                transcript.value = TranscriptRecord.formatText(readyRecord.value, view);
+            }
+            await chrome.storage.local.set({ transcriptView: view });
+        };
+
+        // Play the ready transcript's kept audio with its words; see BlobStore.keep()
+        const openPlayer = async () => {
+            const item = readyRecord.value;
+            if (!item?.audioKept) return;
+            const blob = await BlobStore.get(item.id).catch(() => null);
+            if (!(blob instanceof Blob)) {
+                showError('Audio Unavailable', 'The audio of this transcript is no longer stored.');
+                return;
             }
+            closePlayer();
+            player.value = { id: item.id, url: URL.createObjectURL(blob), activeWord: -1 };
         };
 
-        const sendToChatGPT = async () => {
+        const closePlayer = () => {
+            if (!player.value) return;
+            playerAudio.value?.pause();
+            URL.revokeObjectURL(player.value.url);
+            player.value = null;
+        };
+
+        // Words are on the original timeline; kept audio that had silence trimmed is not
+        const updateActiveWord = () => {
+            const audio = playerAudio.value;
+            if (!audio || !player.value) return;
+            const time = TranscriptRecord.toOriginalTime(readyRecord.value?.audioInfo?.timeMap, audio.currentTime);
+            const activeWord = TranscriptRecord.wordAt(readyRecord.value?.words, time);
+            if (activeWord === player.value.activeWord) return;
+            player.value.activeWord = activeWord;
+            nextTick(() => document.querySelector('.player-word.active')?.scrollIntoView({ block: 'nearest' }));
+        };
+
+        // timeupdate fires only a few times a second; while playing, follow every frame
+        const followPlayback = () => {
+            updateActiveWord();
+            if (playerAudio.value && !playerAudio.value.paused) requestAnimationFrame(followPlayback);
+        };
+
+        const seekToWord = (index) => {
+            const audio = playerAudio.value;
+            const word = readyRecord.value?.words?.[index];
+            if (!audio || !word) return;
+            audio.currentTime = TranscriptRecord.toUploadedTime(readyRecord.value.audioInfo?.timeMap, word.start);
+            audio.play().catch(() => {});
+        };
+
+        const skipBack = () => {
+            const audio = playerAudio.value;
+            if (audio) audio.currentTime = Math.max(0, audio.currentTime - SKIP_BACK_SECONDS);
+        };
+
+        const setPlaybackRate = async (e) => {
+            const rate = Number(e?.target?.value);
+            if (!PLAYBACK_RATES.includes(rate)) return;
+            playbackRate.value = rate;
+            if (playerAudio.value) playerAudio.value.playbackRate = rate;
+            await chrome.storage.local.set({ playbackRate: rate });
+        };
+
+        const startRenameSpeaker = (label) => {
+            renamingSpeaker.value = { label, name: TranscriptRecord.speakerName(readyRecord.value, label) };
+        };
+
+        const updateRenameSpeaker = (e) => {
+            if (renamingSpeaker.value) renamingSpeaker.value.name = e?.target?.value ?? '';
+        };
+
+        const cancelRenameSpeaker = () => {
+            renamingSpeaker.value = null;
+        };
+
+        // Names are kept on the transcript; copy, export and send pick them up through TranscriptRecord.formatText
+        const saveRenameSpeaker = async () => {
+            const rename = renamingSpeaker.value;
+            const item = readyRecord.value;
+            renamingSpeaker.value = null;
+            if (!rename || !item) return;
+            try {
+                const res = await BackgroundBridge.updateTranscript({ id: item.id, speakerNames: { [rename.label]: rename.name } });
+                if (res?.success && res.transcript) {
+                    transcriptsList.value = transcriptsList.value.map(t => t.id === res.transcript.id ? res.transcript : t);
+                    loadToReady(res.transcript);
+                }
+            } catch (e) {
+                console.error('Rename speaker failed:', e);
+            }
+        };
+
+        const sendToChatGPT = () => sendTextToChatGPT(transcript.value);
+
+        const sendTextToChatGPT = async (text) => {
             try {
                 const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
                 
                 if (tab.url && (tab.url.includes('chat.openai.com') || tab.url.includes('chatgpt.com'))) {
                     await chrome.tabs.sendMessage(tab.id, {
                         action: 'insertTranscript',
-                        transcript: transcript.value
+                        transcript: text
                     });
                     window.close();
                 } else {
@@ -552,7 +923,7 @@ const App = {
                     
                     // Store transcript for insertion when page loads
                     await chrome.storage.local.set({
-                        pendingTranscript: transcript.value
+                        pendingTranscript: text
                     });
                     
                     window.close();
@@ -563,8 +934,60 @@ const App = {
             }
         };
 
+        // Records of the last batch in the order the files were picked
+        const batchItems = () => batch.value
+            ? transcriptsList.value.filter(item => item.batchId === batch.value.id).reverse()
+            : [];
+
+        // "7 of 9 done, 1 failed, 1 queued"; files rejected before upload count as failed
+        const batchSummary = () => {
+            const items = batchItems();
+            const count = (statuses) => items.filter(item => statuses.includes(item.status)).length;
+            const parts = [`${count(['success'])} of ${batch.value.total} done`];
+            const failed = count(['error', 'cancelled']) + batch.value.rejected.length;
+            if (failed) parts.push(`${failed} failed`);
+            if (count(['pending'])) parts.push(`${count(['pending'])} processing`);
+            if (count(['queued', 'paused'])) parts.push(`${count(['queued', 'paused'])} queued`);
+            return parts.join(', ');
+        };
+
+        // All finished transcripts of the batch as one text, each under its file name
+        const batchText = () => batchItems()
+            .filter(item => item.status === 'success')
+            .map(item => `=== ${item.filename} ===\n\n${TranscriptRecord.formatText(item, transcriptView.value)}`)
+            .join('\n\n');
+
+        const copyBatch = async () => {
+            try {
+                await navigator.clipboard.writeText(batchText());
+                copiedItemId.value = batch.value.id;
+                setTimeout(() => { copiedItemId.value = null; }, 1500);
+            } catch (e) {
+                console.error('Copy batch failed:', e);
+                showError('Copy Failed', 'Failed to copy the transcripts to clipboard.');
+            }
+        };
+
+        const exportBatch = () => {
+            const url = URL.createObjectURL(new Blob([batchText()], { type: 'text/plain' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `transcripts-${new Date(batch.value.createdAt).toISOString().slice(0, 10)}.txt`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        };
+
+        const sendBatch = () => sendTextToChatGPT(batchText());
+
+        const dismissBatch = async () => {
+            batch.value = null;
+            await chrome.storage.local.remove('lastBatch');
+        };
+
         const resetUpload = () => {
+            closePlayer();
             transcript.value = '';
+            readyRecord.value = null;
             isProcessing.value = false;
             processingMessage.value = '';
             clearError();
@@ -584,6 +1007,17 @@ const App = {
             error.value = null;
         };
 
+        // Resolves true when the user accepts the estimated cost
+        const confirmCost = (details) => new Promise((resolve) => {
+            costConfirmation.value = { ...details, resolve };
+        });
+
+        const answerCostConfirmation = (accepted) => {
+            const pending = costConfirmation.value;
+            costConfirmation.value = null;
+            pending?.resolve(accepted);
+        };
+
         const closeTokenWarning = () => {
             showTokenWarning.value = false;
         };
@@ -600,9 +1034,11 @@ const App = {
                 if (res?.success) {
                     const list = Array.isArray(res.transcripts) ? res.transcripts : [];
                     transcriptsList.value = list;
+                    queueIds.value = Array.isArray(res.queue) ? res.queue : [];
+                    if (res.maxConcurrentUploads) maxConcurrentUploads.value = res.maxConcurrentUploads;
                     const latestSuccess = list.find(item => item.status === 'success');
                     if (latestSuccess) {
-                        transcript.value = latestSuccess.transcript || '';
+                        loadToReady(latestSuccess);
                     }
                 }
             } catch (e) {
@@ -613,12 +1049,21 @@ const App = {
         // Initialize app
         onMounted(async () => {
             try {
-                const data = await chrome.storage.local.get(['user', 'isAuthenticated', 'authToken']);
+                const data = await chrome.storage.local.get(['user', 'isAuthenticated', 'authToken', 'uploadSettings', 'lastBatch', 'transcriptView', 'playbackRate', 'pendingRecording']);
                 if (data.isAuthenticated && data.user && data.authToken) {
                     user.value = data.user;
                     isAuthenticated.value = true;
                 }
+                reduceAudio.value = !!data.uploadSettings?.reduceAudio;
+                trimSilence.value = ['edges', 'compress'].includes(data.uploadSettings?.trimSilence) ? data.uploadSettings.trimSilence : 'off';
+                mixMicrophone.value = !!data.uploadSettings?.mixMicrophone;
+                if (data.lastBatch?.id) batch.value = { rejected: [], ...data.lastBatch };
+                if (data.transcriptView === 'timestamped') transcriptView.value = 'timestamped';
+                if (PLAYBACK_RATES.includes(data.playbackRate)) playbackRate.value = data.playbackRate;
+                pendingRecording.value = data.pendingRecording || null;
                 await loadTranscripts();
+                chrome.runtime.onMessage.addListener(handleBackgroundProgress);
+                applyRecordingState((await BackgroundBridge.recordingCommand('status'))?.state);
             } catch (error) {
                 console.error('Failed to load stored data:', error);
             }
@@ -640,6 +1085,33 @@ const App = {
             showTokenWarning,
             fileInput,
             transcriptsList,
+            queueIds,
+            maxConcurrentUploads,
+            reduceAudio,
+            toggleReduceAudio,
+            trimSilence,
+            updateTrimSilence,
+            recording,
+            importUrl,
+            updateImportUrl,
+            submitImportUrl,
+            batch,
+            batchProgress,
+            batchSummary,
+            batchItems,
+            copyBatch,
+            exportBatch,
+            sendBatch,
+            dismissBatch,
+            mixMicrophone,
+            toggleMixMicrophone,
+            startRecording,
+            pauseRecording,
+            resumeRecording,
+            stopRecording,
+            pendingRecording,
+            transcribePendingRecording,
+            discardPendingRecording,
             editingId,
             editingText,
             editingFilename,
@@ -656,12 +1128,38 @@ const App = {
             resetUpload,
             clearError,
             closeTokenWarning,
+            costConfirmation,
+            answerCostConfirmation,
             openFileDialog,
             startEdit,
             cancelEdit,
             saveEdit,
             deleteSaved,
+            cancelSaved,
+            retrySaved,
+            pauseSaved,
+            resumeSaved,
+            moveSaved,
+            updateConcurrency,
             loadToReady,
+            readyRecord,
+            transcriptView,
+            setTranscriptView,
+            player,
+            playerAudio,
+            playbackRate,
+            openPlayer,
+            closePlayer,
+            updateActiveWord,
+            followPlayback,
+            seekToWord,
+            skipBack,
+            setPlaybackRate,
+            renamingSpeaker,
+            startRenameSpeaker,
+            updateRenameSpeaker,
+            cancelRenameSpeaker,
+            saveRenameSpeaker,
             updateEditingText,
             updateEditingFilename
         };
@@ -675,12 +1173,97 @@ const App = {
             handleDrop, handleDragOver, handleDragLeave, copyTranscript, sendToChatGPT, 
             resetUpload, clearError, closeTokenWarning, openFileDialog, transcriptsList,
             editingId, editingText, editingFilename, startEdit, cancelEdit, saveEdit,
-            deleteSaved, copySavedTranscript, copiedItemId, loadToReady,
-            updateEditingText, updateEditingFilename
+            deleteSaved, cancelSaved, retrySaved, pauseSaved, resumeSaved, moveSaved, updateConcurrency,
+            queueIds, maxConcurrentUploads, copySavedTranscript, copiedItemId, loadToReady,
+            updateEditingText, updateEditingFilename, costConfirmation, answerCostConfirmation,
+            reduceAudio, toggleReduceAudio, trimSilence, updateTrimSilence,
+            recording, startRecording, pauseRecording, resumeRecording, stopRecording,
+            pendingRecording, transcribePendingRecording, discardPendingRecording,
+            mixMicrophone, toggleMixMicrophone,
+            batch, batchProgress, batchSummary, batchItems, copyBatch, exportBatch, sendBatch, dismissBatch,
+            importUrl, updateImportUrl, submitImportUrl,
+            readyRecord, transcriptView, setTranscriptView,
+            player, playbackRate, openPlayer, closePlayer, updateActiveWord, followPlayback, seekToWord, skipBack, setPlaybackRate,
+            renamingSpeaker, startRenameSpeaker, updateRenameSpeaker, cancelRenameSpeaker, saveRenameSpeaker
         } = this;
+        const hasTimings = TranscriptRecord.hasTimings(readyRecord);
+        const hasSpeakers = TranscriptRecord.hasSpeakers(readyRecord);
+        const speakerLabels = hasSpeakers ? TranscriptRecord.speakers(readyRecord) : [];
+        const speakerColor = (label) => label ? SPEAKER_COLORS[speakerLabels.indexOf(label) % SPEAKER_COLORS.length] : '#a0aec0';
+
+        // One chip per speaker of the ready transcript; clicking one renames that speaker everywhere
+        const renderSpeakers = () => h('div', { class: 'speaker-list' }, [
+            h('span', { class: 'speaker-list-label' }, 'Speakers'),
+            ...speakerLabels.map(label => renamingSpeaker?.label === label
+                ? h('input', {
+                    class: 'speaker-rename',
+                    value: renamingSpeaker.name,
+                    maxlength: 64,
+                    placeholder: label,
+                    onInput: updateRenameSpeaker,
+                    onKeydown: (e) => {
+                        if (e.key === 'Enter') saveRenameSpeaker();
+                        if (e.key === 'Escape') cancelRenameSpeaker();
+                    },
+                    onBlur: saveRenameSpeaker,
+                    onVnodeMounted: ({ el }) => el.focus()
+                })
+                : h('button', {
+                    class: 'speaker-chip',
+                    style: { borderColor: speakerColor(label), color: speakerColor(label) },
+                    title: `Rename ${label}`,
+                    onClick: () => startRenameSpeaker(label)
+                }, `● ${TranscriptRecord.speakerName(readyRecord, label)}`))
+        ]);
+
+        // The transcript as speaker-colored turns, with each turn's start time in the timestamped view
+        const renderSpeakerTurns = () => h('div', { class: 'speaker-turns' }, TranscriptRecord.speakerTurns(readyRecord).map(turn => h('div', {
+            class: 'speaker-turn',
+            style: { borderLeftColor: speakerColor(turn.speaker) }
+        }, [
+            h('div', { class: 'speaker-turn-header' }, [
+                h('span', { class: 'speaker-turn-name', style: { color: speakerColor(turn.speaker) } },
+                    turn.speaker ? TranscriptRecord.speakerName(readyRecord, turn.speaker) : ''),
+                transcriptView === 'timestamped' && h('span', { class: 'speaker-turn-time' }, TranscriptRecord.formatTimestamp(turn.start))
+            ]),
+            h('p', { class: 'speaker-turn-text' }, turn.text)
+        ])));
+
+        // The kept audio with its words; the current word is highlighted and a click on a word seeks to it
+        const renderPlayer = () => {
+            const words = readyRecord?.words || [];
+            return h('div', { class: 'player' }, [
+                h('audio', {
+                    ref: 'playerAudio',
+                    class: 'player-audio',
+                    src: player.url,
+                    controls: true,
+                    onLoadedmetadata: (e) => { e.target.playbackRate = playbackRate; },
+                    onPlay: followPlayback,
+                    onTimeupdate: updateActiveWord
+                }),
+                h('div', { class: 'player-controls' }, [
+                    h('button', { class: 'view-toggle', title: 'Back 5 seconds', onClick: skipBack }, '⟲ 5s'),
+                    h('label', { class: 'player-rate' }, [
+                        'Speed',
+                        h('select', { value: playbackRate, onChange: setPlaybackRate },
+                            PLAYBACK_RATES.map(rate => h('option', { value: rate }, `${rate}×`)))
+                    ]),
+                    h('button', { class: 'view-toggle', onClick: closePlayer }, '✕ Close')
+                ]),
+                words.length > 0
+                    ? h('div', { class: 'player-words' }, words.map((word, index) => h('span', {
+                        class: ['player-word', { active: index === player.activeWord }],
+                        style: hasSpeakers && word.speaker ? { color: speakerColor(word.speaker) } : null,
+                        onClick: () => seekToWord(index)
+                    }, `${word.word.trim()} `)))
+                    : h('p', { class: 'player-note' }, 'This transcript has no word timings to follow.')
+            ]);
+        };
 
         const renderTranscriptItem = (item) => {
-            const statusLabel = item.status === 'pending' ? '⏳' : item.status === 'success' ? '✅' : '❌';
+            const statusLabel = { queued: '🕒', paused: '⏸️', pending: '⏳', success: '✅', cancelled: '🚫' }[item.status] || '❌';
+            const queuePosition = queueIds.indexOf(item.id);
             const isEditing = editingId === item.id;
             const actions = [];
             if (item.status === 'success') {
@@ -692,6 +1275,23 @@ const App = {
                     actions.push(h('button', { class: 'icon-btn secondary', onClick: (e) => cancelEdit(e) }, '↩️ Cancel'));
                 }
             }
+            if (item.status === 'queued' || item.status === 'paused') {
+                actions.push(h('button', { class: 'icon-btn', title: 'Move up', disabled: queuePosition <= 0, onClick: (e) => moveSaved(item, 'up', e) }, '▲'));
+                actions.push(h('button', { class: 'icon-btn', title: 'Move down', disabled: queuePosition === -1 || queuePosition >= queueIds.length - 1, onClick: (e) => moveSaved(item, 'down', e) }, '▼'));
+            }
+            if (item.status === 'queued' || (item.status === 'pending' && item.stage === 'uploading' && item.progress?.resumable)) {
+                actions.push(h('button', { class: 'icon-btn', onClick: (e) => pauseSaved(item, e) }, '⏸️ Pause'));
+            }
+            if (item.status === 'paused') {
+                actions.push(h('button', { class: 'icon-btn primary', onClick: (e) => resumeSaved(item, e) }, item.confirmation ? '▶️ Transcribe' : '▶️ Resume'));
+            }
+            if (['pending', 'queued', 'paused'].includes(item.status)) {
+                actions.push(h('button', { class: 'icon-btn secondary', onClick: (e) => cancelSaved(item, e) }, '⏹️ Cancel'));
+            }
+            // Links can always be downloaded again; files are only kept for a while after a failure
+            if (item.status === 'error' && (item.fileAvailable !== false || item.sourceUrl)) {
+                actions.push(h('button', { class: 'icon-btn primary', onClick: (e) => retrySaved(item, e) }, '🔄 Retry'));
+            }
             actions.push(h('button', { class: 'icon-btn danger', onClick: (e) => deleteSaved(item, e) }, '🗑️ Delete'));
 
             const headerChildren = [];
@@ -699,17 +1299,61 @@ const App = {
                 headerChildren.push(h('span', { class: 'inline-spinner', 'aria-label': 'Loading' }));
             }
             headerChildren.push(h('span', { class: 'filename-text' }, `${statusLabel} ${item.filename}`));
+            if (item.sourceVideo) {
+                headerChildren.push(h('span', { class: 'source-note', title: 'Only the audio track was uploaded' }, `🎬 from ${item.sourceVideo}`));
+            }
+            if (item.sourceUrl) {
+                headerChildren.push(h('span', { class: 'source-note', title: item.sourceUrl }, `🔗 ${hostOf(item.sourceUrl)}`));
+            }
+
+            const renderPendingProgress = () => {
+                const progress = item.progress;
+                const stageLabel = STAGE_LABELS[item.stage] || item.stage || 'Processing';
+                const children = [h('div', { class: 'pending-stage' }, `${stageLabel}…`)];
+                if (item.stage === 'retrying' && item.retry) {
+                    const waitSeconds = Math.max(0, Math.round((item.retry.nextRetryAt - Date.now()) / 1000));
+                    children.push(h('div', { class: 'progress-details' },
+                        `${item.retry.reason} Attempt ${item.retry.attempt} of ${item.retry.maxAttempts} in ${waitSeconds}s`));
+                }
+                if (progress && progress.bytesSent > 0 && item.stage === 'downloading' && !(progress.totalBytes > 0)) {
+                    // The server did not say how large the file is
+                    children.push(h('div', { class: 'progress-details' }, `${formatBytes(progress.bytesSent)} · ${formatBytes(progress.bytesPerSecond)}/s`));
+                }
+                if (progress?.unknown && item.stage === 'uploading') {
+                    children.push(h('div', { class: 'progress-details' },
+                        `Sending ${formatBytes(progress.totalBytes)} in one request; this server does not report upload progress`));
+                } else if (progress && progress.totalBytes > 0 && ['uploading', 'downloading'].includes(item.stage)) {
+                    const details = [`${formatBytes(progress.bytesSent)} of ${formatBytes(progress.totalBytes)}`];
+                    if (progress.bytesPerSecond > 0) details.push(`${formatBytes(progress.bytesPerSecond)}/s`);
+                    const eta = formatEta(progress.etaSeconds);
+                    if (eta) details.push(eta);
+                    children.push(h('div', { class: 'progress-bar' }, [
+                        h('div', { class: 'progress-bar-fill', style: { width: `${progress.percent || 0}%` } })
+                    ]));
+                    children.push(h('div', { class: 'progress-details' }, `${progress.percent || 0}% · ${details.join(' · ')}`));
+                }
+                if (Array.isArray(item.partialSegments) && item.partialSegments.length > 0) {
+                    children.push(h('div', {
+                        class: 'partial-transcript',
+                        onVnodeUpdated: (vnode) => { vnode.el.scrollTop = vnode.el.scrollHeight; }
+                    }, item.partialSegments.map(seg => seg.text.trim()).join(' ')));
+                }
+                children.push(h('div', { class: 'pending-note' }, 'Please don’t close your browser'));
+                return h('div', { class: 'pending-progress' }, children);
+            };
 
             return h('div', { class: 'saved-item', onClick: () => loadToReady(item) }, [
                 h('div', { class: 'saved-item-top' }, [
                     h('div', { class: 'saved-item-header' }, headerChildren),
                     h('div', { class: 'saved-item-actions' }, actions)
                 ]),
-                item.status === 'pending' && h('div', { class: 'pending-note' }, 'Processing… Please don’t close your browser'),
+                item.status === 'pending' && renderPendingProgress(),
+                item.status === 'queued' && h('div', { class: 'queue-note' }, queuePosition !== -1 ? `#${queuePosition + 1} in queue` : 'Queued'),
+                item.status === 'paused' && h('div', { class: 'queue-note' }, item.confirmation ? confirmationNote(item) : 'Paused'),
                 item.status === 'success' && (!isEditing ? h('textarea', {
                     class: 'saved-item-text',
                     readonly: true,
-                    value: item.transcript || ''
+                    value: TranscriptRecord.formatText(item, transcriptView)
                 }) : h('div', { class: 'saved-edit-form', onClick: (e) => e.stopPropagation() }, [
                     h('input', {
                         class: 'saved-item-filename',
@@ -724,7 +1368,19 @@ const App = {
                     })
                 ])),
                 item.status === 'error' && h('div', { class: 'saved-item-error' }, item.error || 'Error'),
-                h('div', { class: 'saved-item-footer' }, new Date(item.createdAt).toLocaleString())
+                item.status === 'error' && item.fileAvailable === false && !item.sourceUrl && h('div', { class: 'queue-note' }, 'File no longer available. Upload it again to retry.'),
+                item.status === 'cancelled' && h('div', { class: 'saved-item-cancelled' }, 'Cancelled'),
+                h('div', { class: 'saved-item-footer' }, [
+                    new Date(item.createdAt).toLocaleString(),
+                    item.duration && ` · ${formatDuration(item.duration)}`,
+                    formatAudioInfo(item.audioInfo) && ` · ${formatAudioInfo(item.audioInfo)}`,
+                    item.audioInfo?.estimatedTokens != null && item.status !== 'success' && ` · ~${item.audioInfo.estimatedTokens} tokens`,
+                    item.audioInfo?.estimatedSeconds != null && ['queued', 'paused', 'pending'].includes(item.status) &&
+                        ` · about ${formatDuration(item.audioInfo.estimatedSeconds)} to transcribe`,
+                    item.audioInfo?.reduced && ` · ${formatBytes(item.audioInfo.originalSize)} → ${formatBytes(item.audioInfo.uploadSize)}`,
+                    item.audioInfo?.timeMap && item.duration && item.audioInfo.uploadDuration &&
+                        ` · ${formatDuration(item.duration - item.audioInfo.uploadDuration)} silence removed`
+                ])
             ]);
         };
 
@@ -732,7 +1388,13 @@ const App = {
             // Header
             h('div', { class: 'header' }, [
                 h('img', { src: 'icons/icon32.png', alt: 'Open AudioAi', class: 'logo' }),
-                h('h1', 'Open AudioAi')
+                h('h1', 'Open AudioAi'),
+                h('button', {
+                    class: 'settings-btn',
+                    title: 'Server settings',
+                    'aria-label': 'Server settings',
+                    onClick: () => chrome.runtime.openOptionsPage()
+                }, '⚙️')
             ]),
 
             // Authentication Section
@@ -797,26 +1459,107 @@ const App = {
                         h('input', {
                             type: 'file',
                             ref: 'fileInput',
-                            accept: 'audio/*',
+                            multiple: true,
+                            accept: AudioFormats.acceptAttribute(),
                             style: 'display: none;',
                             onChange: handleFileSelect
                         }),
-                        h('div', { class: 'upload-content' }, [
+                        isProcessing ? h('div', { class: 'upload-content' }, [
+                            h('div', { class: 'upload-icon' }, '⏳'),
+                            batchProgress && h('p', { class: 'batch-progress' }, batchProgress),
+                            h('p', processingMessage)
+                        ]) : recording.status !== 'idle' ? h('div', { class: 'upload-content' }, [
+                            h('div', { class: 'upload-icon' }, recording.status === 'paused' ? '⏸️' : '🔴'),
+                            h('h3', `${recording.status === 'paused' ? 'Paused' : recording.source === 'tab' ? 'Recording tab' : 'Recording'} ${formatDuration(recording.elapsed)}`),
+                            h('div', { class: 'level-meter', 'aria-label': 'Input level' }, [
+                                h('div', { class: 'level-meter-fill', style: { width: `${Math.round(recording.level * 100)}%` } })
+                            ]),
+                            h('div', { class: 'recording-actions' }, [
+                                recording.status === 'paused'
+                                    ? h('button', { class: 'upload-btn secondary', onClick: resumeRecording }, '▶️ Resume')
+                                    : h('button', { class: 'upload-btn secondary', onClick: pauseRecording }, '⏸️ Pause'),
+                                h('button', { class: 'upload-btn', onClick: stopRecording }, '⏹️ Stop')
+                            ])
+                        ]) : pendingRecording ? h('div', { class: 'upload-content' }, [
+                            h('div', { class: 'upload-icon' }, '🎙️'),
+                            h('h3', `Recording ${formatDuration(pendingRecording.duration)}`),
+                            h('p', 'This recording has not been transcribed yet.'),
+                            h('div', { class: 'recording-actions' }, [
+                                h('button', { class: 'upload-btn', onClick: transcribePendingRecording }, 'Transcribe'),
+                                h('button', { class: 'upload-btn secondary', onClick: discardPendingRecording }, 'Discard')
+                            ])
+                        ]) : h('div', { class: 'upload-content' }, [
                             h('div', { class: 'upload-icon' }, '🎵'),
                             h('h3', 'Upload Audio File'),
                             h('p', 'Drag & drop or click to select'),
-                            h('button', {
-                                class: 'upload-btn',
-                                onClick: openFileDialog
-                            }, 'Choose File')
+                            h('p', { class: 'upload-formats' }, AudioFormats.labels()),
+                            h('div', { class: 'recording-actions' }, [
+                                h('button', {
+                                    class: 'upload-btn',
+                                    onClick: openFileDialog
+                                }, 'Choose File'),
+                                h('button', {
+                                    class: 'upload-btn secondary',
+                                    title: 'Record from the microphone',
+                                    onClick: () => startRecording('microphone')
+                                }, '🎙️ Record'),
+                                h('button', {
+                                    class: 'upload-btn secondary',
+                                    title: 'Record the audio playing in this tab, such as a call or webinar',
+                                    onClick: () => startRecording('tab')
+                                }, '🖥️ Record tab')
+                            ])
                         ])
                     ]),
+                    !transcript && h('form', { class: 'url-import', onSubmit: submitImportUrl }, [
+                        h('input', {
+                            type: 'url',
+                            class: 'url-import-input',
+                            placeholder: 'Or paste a link to an audio file',
+                            value: importUrl,
+                            onInput: updateImportUrl
+                        }),
+                        h('button', { type: 'submit', class: 'icon-btn primary', disabled: !importUrl.trim() }, 'From URL')
+                    ]),
+                    !transcript && h('label', {
+                        class: 'reduce-audio-setting',
+                        title: 'Smaller uploads with the same speech quality'
+                    }, [
+                        h('input', { type: 'checkbox', checked: reduceAudio, disabled: isProcessing, onChange: toggleReduceAudio }),
+                        'Reduce to 16 kHz mono before upload'
+                    ]),
+                    !transcript && h('label', {
+                        class: 'reduce-audio-setting',
+                        title: 'Trimmed audio is uploaded as 16 kHz mono WAV; word timestamps still refer to the original recording'
+                    }, [
+                        'Silence',
+                        h('select', { value: trimSilence, disabled: isProcessing, onChange: updateTrimSilence }, [
+                            h('option', { value: 'off' }, 'Keep'),
+                            h('option', { value: 'edges' }, 'Trim start and end'),
+                            h('option', { value: 'compress' }, 'Trim and shorten long pauses')
+                        ])
+                    ]),
+                    !transcript && h('label', {
+                        class: 'reduce-audio-setting',
+                        title: 'Records your voice along with the tab, for calls'
+                    }, [
+                        h('input', { type: 'checkbox', checked: mixMicrophone, disabled: recording.status !== 'idle', onChange: toggleMixMicrophone }),
+                        'Mix in the microphone when recording a tab'
+                    ]),
 
                     // Transcript display
                     transcript && h('div', { class: 'transcript-section' }, [
                         h('div', { class: 'transcript-header' }, [
                             h('h3', 'Transcript Ready'),
                             h('div', { class: 'action-buttons' }, [
+                                h('button', {
+                                    class: ['view-toggle', { 'active': transcriptView === 'timestamped' && hasTimings }],
+                                    disabled: !hasTimings,
+                                    title: hasTimings
+                                        ? 'Switch between paragraphs and timestamped lines'
+                                        : 'No word timings for this transcript, or it was edited',
+                                    onClick: () => setTranscriptView(transcriptView === 'timestamped' ? 'plain' : 'timestamped')
+                                }, transcriptView === 'timestamped' && hasTimings ? '¶ Plain' : '🕒 Timestamps'),
                                 h('button', {
                                     class: ['copy-btn', { 'copied': isCopied }],
                                     onClick: copyTranscript
@@ -827,8 +1570,16 @@ const App = {
                                 }, '🚀 Send to ChatGPT')
                             ])
                         ]),
-                        h('div', { class: 'transcript-content' }, [
-                            h('textarea', {
+                        hasSpeakers && renderSpeakers(),
+                        readyRecord?.audioKept && !player && h('button', {
+                            class: 'view-toggle player-open',
+                            onClick: openPlayer
+                        }, '▶ Play the audio'),
+                        player && renderPlayer(),
+                        hasSpeakers && readyRecord?.metadata?.edited && h('p', { class: 'queue-note' },
+                            'Edited: the speaker turns show the original transcript; Copy and Send use your edited text.'),
+                        !player && h('div', { class: 'transcript-content' }, [
+                            hasSpeakers ? renderSpeakerTurns() : h('textarea', {
                                 class: 'transcript-text',
                                 readonly: true,
                                 value: transcript
@@ -853,13 +1604,70 @@ const App = {
 
                     // Saved transcripts list
                     h('div', { class: 'saved-section' }, [
-                        h('h3', 'Saved Transcripts'),
+                        h('div', { class: 'saved-section-header' }, [
+                            h('h3', 'Saved Transcripts'),
+                            h('label', { class: 'concurrency-setting', title: 'How many files upload at the same time' }, [
+                                'Parallel uploads',
+                                h('select', { value: maxConcurrentUploads, onChange: updateConcurrency },
+                                    [1, 2, 3, 4, 5].map(n => h('option', { value: n }, String(n))))
+                            ])
+                        ]),
+                        batch && h('div', { class: 'batch-summary' }, [
+                            h('div', { class: 'batch-summary-header' }, [
+                                h('span', { class: 'batch-summary-text' }, `Batch: ${batchSummary()}`),
+                                h('button', { class: 'icon-btn', title: 'Hide', onClick: dismissBatch }, '✕')
+                            ]),
+                            batch.rejected.map(file => h('div', { class: 'batch-rejected' }, `❌ ${file.filename}: ${file.message}`)),
+                            batchItems().some(item => item.status === 'success') && h('div', { class: 'saved-item-actions' }, [
+                                h('button', { class: 'icon-btn', onClick: copyBatch }, copiedItemId === batch.id ? '✓ Copied' : '📋 Copy all'),
+                                h('button', { class: 'icon-btn', onClick: exportBatch }, '💾 Export all'),
+                                h('button', { class: 'icon-btn primary', onClick: sendBatch }, '🚀 Send all to ChatGPT')
+                            ])
+                        ]),
                         transcriptsList.length === 0 && h('p', { class: 'empty' }, 'No transcripts yet.'),
                         transcriptsList.length > 0 && h('div', { class: 'saved-list' }, transcriptsList.map(renderTranscriptItem))
                     ])
                 ])
             ]),
 
+            // Cost Confirmation Modal
+            costConfirmation && h('div', {
+                class: 'modal-overlay',
+                onClick: () => answerCostConfirmation(false)
+            }, [
+                h('div', {
+                    class: 'modal-content',
+                    onClick: (e) => e.stopPropagation()
+                }, [
+                    h('div', { class: 'modal-header' }, [
+                        h('h3', 'Confirm Transcription'),
+                        h('button', {
+                            class: 'close-btn',
+                            onClick: () => answerCostConfirmation(false)
+                        }, '×')
+                    ]),
+                    h('div', { class: 'modal-body' }, [
+                        h('p', { class: 'cost-filename' }, costConfirmation.filename),
+                        h('dl', { class: 'cost-details' }, [
+                            h('dt', 'Duration'), h('dd', formatDuration(costConfirmation.duration)),
+                            formatAudioInfo(costConfirmation) && [h('dt', 'Audio'), h('dd', formatAudioInfo(costConfirmation))],
+                            h('dt', 'Estimated cost'), h('dd', `~${costConfirmation.tokens} tokens`),
+                            h('dt', 'Processing time'), h('dd', `about ${formatDuration(costConfirmation.processingSeconds)}`)
+                        ])
+                    ]),
+                    h('div', { class: 'modal-footer cost-actions' }, [
+                        h('button', {
+                            class: 'modal-btn secondary',
+                            onClick: () => answerCostConfirmation(false)
+                        }, 'Cancel'),
+                        h('button', {
+                            class: 'modal-btn',
+                            onClick: () => answerCostConfirmation(true)
+                        }, 'Transcribe')
+                    ])
+                ])
+            ]),
+
             // Token Warning Modal
             showTokenWarning && h('div', {
                 class: 'modal-overlay',
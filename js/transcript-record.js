@@ -0,0 +1,241 @@
+// Transcript records as stored in chrome.storage, shared by the worker and the popup.
+// A finished record keeps its transcript as data: `text` (plain text), `segments` ([{ start, end, text, speaker? }]),
+// `words` ([{ word, start, end, speaker? }]) and `metadata` ({ language, edited, speakerNames }).
+// Display, copy and send are derived from these. speakerNames maps a server label ("SPEAKER_0") to the name shown.
+// Records from before schema version 2 kept a pretty-printed JSON string of { transcript, words } in `transcript`;
+// migrate() converts them.
+const TranscriptRecord = {
+    SCHEMA_VERSION: 2,
+    PAUSE_GAP_SECONDS: 1, // A silence this long between words starts a new reader segment
+    MAX_SEGMENT_SECONDS: 30,
+    SENTENCE_END: /[.!?…。！？]["'”’)\]]*$/,
+
+    // A server result ({ transcript, segments, words, language }) -> the transcript fields of a record
+    fromResult({ transcript, segments, words, language } = {}) {
+        const cleanSegments = this.normalizeSegments(segments);
+        const cleanWords = this.assignSpeakers(this.normalizeWords(words), cleanSegments);
+        let text = typeof transcript === 'string' ? transcript.trim() : '';
+        if (!text && cleanSegments.length > 0) {
+            text = cleanSegments.map(segment => segment.text.trim()).join(' ');
+        } else if (!text && cleanWords.length > 0) {
+            text = cleanWords.map(word => word.word.trim()).join(' ');
+        }
+        return {
+            schemaVersion: this.SCHEMA_VERSION,
+            text,
+            segments: cleanSegments,
+            words: cleanWords,
+            metadata: {
+                language: typeof language === 'string' && language ? language.slice(0, 32) : null,
+                edited: false,
+                speakerNames: {}
+            }
+        };
+    },
+
+    normalizeWords(list) {
+        if (!Array.isArray(list)) return [];
+        return list
+            .filter(item => item && typeof item === 'object' && typeof item.word === 'string')
+            .map(item => ({ word: item.word, start: Number(item.start) || 0, end: Number(item.end) || 0, ...this.speakerField(item.speaker) }));
+    },
+
+    normalizeSegments(list) {
+        if (!Array.isArray(list)) return [];
+        return list
+            .filter(item => item && typeof item === 'object' && typeof item.text === 'string')
+            .map(item => ({ start: Number(item.start) || 0, end: Number(item.end) || 0, text: item.text, ...this.speakerField(item.speaker) }));
+    },
+
+    // Diarization labels come as strings ("SPEAKER_0") or numbers; records only carry the field when there is one
+    speakerField(value) {
+        const label = typeof value === 'number' && Number.isFinite(value) ? String(value)
+            : (typeof value === 'string' ? value.trim().slice(0, 64) : '');
+        return label ? { speaker: label } : {};
+    },
+
+    // Servers that label segments only: each word gets the speaker of the segment it starts in
+    assignSpeakers(words, segments) {
+        if (words.some(word => word.speaker) || !segments.some(segment => segment.speaker)) return words;
+        return words.map(word => {
+            const segment = segments.find(candidate => word.start >= candidate.start && word.start < candidate.end);
+            return segment?.speaker ? { ...word, speaker: segment.speaker } : word;
+        });
+    },
+
+    // Any stored record -> the current schema; current records are returned as they are
+    migrate(record) {
+        if (!record || typeof record !== 'object' || record.schemaVersion >= this.SCHEMA_VERSION) {
+            return record;
+        }
+        const { transcript, ...rest } = record;
+        let text = typeof transcript === 'string' ? transcript : '';
+        let words = rest.words;
+        if (text.trim().startsWith('{')) {
+            try {
+                const combined = JSON.parse(text);
+                if (combined && typeof combined.transcript === 'string') {
+                    text = combined.transcript;
+                    if (!(Array.isArray(words) && words.length > 0)) words = combined.words;
+                }
+            } catch (_) {
+                // Text that only looks like JSON (or was edited into it) stays as it is
+            }
+        }
+        return {
+            ...rest,
+            schemaVersion: this.SCHEMA_VERSION,
+            text,
+            segments: this.normalizeSegments(rest.segments),
+            words: this.normalizeWords(words),
+            metadata: { language: null, edited: false, speakerNames: {}, ...rest.metadata }
+        };
+    },
+
+    plainText(record) {
+        return typeof record?.text === 'string' ? record.text : '';
+    },
+
+    // Words grouped for reading: a segment ends at sentence punctuation, a pause, a change of speaker, or after 30 seconds.
+    // Records without word timings fall back to the server's segments.
+    readerSegments(record) {
+        const words = Array.isArray(record?.words) ? record.words : [];
+        if (words.length === 0) {
+            return this.normalizeSegments(record?.segments)
+                .filter(segment => segment.text.trim())
+                .map(segment => ({ ...segment, speaker: segment.speaker || null }));
+        }
+        const segments = [];
+        let current = null;
+        for (const word of words) {
+            const text = word.word.trim();
+            if (!text) continue;
+            const speaker = word.speaker || null;
+            if (current && (speaker !== current.speaker
+                || word.start - current.end >= this.PAUSE_GAP_SECONDS
+                || word.start - current.start >= this.MAX_SEGMENT_SECONDS)) {
+                segments.push(current);
+                current = null;
+            }
+            if (!current) {
+                current = { start: word.start, end: word.end, text, speaker };
+            } else {
+                // Punctuation that came as its own token sticks to the previous word
+                current.text += /^[,.;:!?%)\]}…]/.test(text) ? text : ` ${text}`;
+                current.end = Math.max(current.end, word.end);
+            }
+            if (this.SENTENCE_END.test(text)) {
+                segments.push(current);
+                current = null;
+            }
+        }
+        if (current) segments.push(current);
+        return segments;
+    },
+
+    // A time in silence-trimmed audio -> the same moment in the original recording.
+    // timeMap is [[uploadedSeconds, originalSeconds], ...] in increasing order (audioInfo.timeMap).
+    toOriginalTime(timeMap, seconds) {
+        if (!Array.isArray(timeMap) || timeMap.length === 0) return seconds;
+        const [uploaded, original] = timeMap[this.lastAtOrBefore(timeMap, entry => entry[0], seconds)];
+        return Math.round((original + Math.max(0, seconds - uploaded)) * 1000) / 1000;
+    },
+
+    // The reverse, for seeking in kept trimmed audio; a moment that was cut maps to where the audio resumes
+    toUploadedTime(timeMap, seconds) {
+        if (!Array.isArray(timeMap) || timeMap.length === 0) return seconds;
+        const index = this.lastAtOrBefore(timeMap, entry => entry[1], seconds);
+        const [uploaded, original] = timeMap[index];
+        const mapped = uploaded + Math.max(0, seconds - original);
+        return index + 1 < timeMap.length ? Math.min(mapped, timeMap[index + 1][0]) : mapped;
+    },
+
+    // Index of the last item whose time is <= seconds (0 if none) in a list sorted by time
+    lastAtOrBefore(list, timeOf, seconds) {
+        let low = 0;
+        let high = list.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (timeOf(list[mid]) <= seconds) low = mid; else high = mid - 1;
+        }
+        return low;
+    },
+
+    // Index of the word being spoken at seconds: the last one started by then, or -1 before the first
+    wordAt(words, seconds) {
+        if (!Array.isArray(words) || words.length === 0 || seconds < words[0].start) return -1;
+        return this.lastAtOrBefore(words, word => word.start, seconds);
+    },
+
+    // Edited text no longer matches the timings, so it is only shown as plain text
+    hasTimings(record) {
+        return !record?.metadata?.edited && this.readerSegments(record).length > 0;
+    },
+
+    // Edited records keep their speakers and names; their turns are the server's original text
+    hasSpeakers(record) {
+        return this.readerSegments(record).some(segment => segment.speaker);
+    },
+
+    // Speaker labels in order of first appearance
+    speakers(record) {
+        return [...new Set(this.readerSegments(record).map(segment => segment.speaker).filter(Boolean))];
+    },
+
+    // The name given in the popup, else the label; bare numbers read as "Speaker 1", "Speaker 2", ...
+    speakerName(record, label) {
+        const name = record?.metadata?.speakerNames?.[label];
+        if (typeof name === 'string' && name) return name;
+        return /^\d+$/.test(label) ? `Speaker ${Number(label) + 1}` : label;
+    },
+
+    // Consecutive reader segments of one speaker merged into a turn: [{ speaker, start, end, text }]
+    speakerTurns(record) {
+        const turns = [];
+        for (const segment of this.readerSegments(record)) {
+            const last = turns[turns.length - 1];
+            if (last && last.speaker === segment.speaker) {
+                last.text += ` ${segment.text.trim()}`;
+                last.end = segment.end;
+            } else {
+                turns.push({ ...segment, text: segment.text.trim() });
+            }
+        }
+        return turns;
+    },
+
+    // "Dana: " in front of a line, or nothing for text without a speaker
+    speakerPrefix(record, label) {
+        return label ? `${this.speakerName(record, label)}: ` : '';
+    },
+
+    // 75.4 -> "[01:15]", 3725 -> "[1:02:05]"
+    formatTimestamp(seconds) {
+        const total = Math.max(0, Math.floor(Number(seconds) || 0));
+        const pad = (value) => String(value).padStart(2, '0');
+        const hours = Math.floor(total / 3600);
+        const clock = `${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+        return `[${hours > 0 ? `${hours}:${clock}` : clock}]`;
+    },
+
+    timestampedText(record) {
+        return this.readerSegments(record)
+            .map(segment => `${this.formatTimestamp(segment.start)} ${this.speakerPrefix(record, segment.speaker)}${segment.text.trim()}`)
+            .join('\n');
+    },
+
+    // One paragraph per speaker turn, each starting with the speaker's name
+    speakerText(record) {
+        return this.speakerTurns(record)
+            .map(turn => `${this.speakerPrefix(record, turn.speaker)}${turn.text}`)
+            .join('\n\n');
+    },
+
+    // What the popup, copy and Send to ChatGPT show: view is 'plain' or 'timestamped'.
+    // Edited text is the user's, so it is used as it is.
+    formatText(record, view = 'plain') {
+        if (record?.metadata?.edited) return this.plainText(record);
+        if (view === 'timestamped' && this.hasTimings(record)) return this.timestampedText(record);
+        return this.hasSpeakers(record) ? this.speakerText(record) : this.plainText(record);
+    }
+};
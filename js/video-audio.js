@@ -0,0 +1,236 @@
+// Audio track extraction for video files, so only audio is uploaded.
+// MP4/MOV with AAC audio are demuxed into an ADTS .aac stream without re-encoding, reading the file in parts.
+// Everything else (WebM, other codecs) is decoded whole and re-encoded to 16 kHz mono WAV by AudioPreprocessor,
+// so it is limited to AudioPreprocessor.MAX_DECODE_SECONDS.
+const VideoAudioExtractor = {
+    OUTPUT_PART_SIZE: 1024 * 1024,
+    ADTS_SAMPLE_RATES: [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350],
+
+    // Resolves { blob, extension } or throws with a message for the user
+    async extract(file, format, duration, onProgress) {
+        if (format.id === 'm4a' || format.id === 'mov') {
+            const track = await this.findAacTrack(file).catch(() => null);
+            if (track) {
+                return { blob: await this.demuxAac(file, track, onProgress), extension: 'aac' };
+            }
+        }
+        if (!(duration > 0 && duration <= AudioPreprocessor.MAX_DECODE_SECONDS)) {
+            throw new Error(`Audio can only be extracted in the browser from videos up to ${AudioPreprocessor.MAX_DECODE_SECONDS / 60} minutes long, or from MP4/MOV files with AAC audio.`);
+        }
+        const { blob } = await AudioPreprocessor.reduce(file, format, duration, onProgress);
+        return { blob, extension: 'wav' };
+    },
+
+    // Top-level boxes without reading their contents: [{ type, start, size, headerSize }]
+    async readTopLevelBoxes(file) {
+        const boxes = [];
+        let offset = 0;
+        while (offset + 8 <= file.size) {
+            const view = new DataView(await file.slice(offset, offset + 16).arrayBuffer());
+            let size = view.getUint32(0);
+            const type = String.fromCharCode(...new Uint8Array(view.buffer, 4, 4));
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = file.size - offset;
+            }
+            if (size < headerSize) break;
+            boxes.push({ type, start: offset, size, headerSize });
+            offset += size;
+        }
+        return boxes;
+    },
+
+    // Child boxes of the box whose payload spans [start, end) of view
+    children(view, start, end) {
+        const boxes = [];
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = view.getUint32(offset);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < headerSize || offset + size > end) break;
+            const type = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+            boxes.push({ type, start: offset + headerSize, end: offset + size });
+            offset += size;
+        }
+        return boxes;
+    },
+
+    child(view, box, type) {
+        return box && this.children(view, box.start, box.end).find(candidate => candidate.type === type);
+    },
+
+    // Sample table and decoder config of the first AAC sound track, or null
+    async findAacTrack(file) {
+        const moov = (await this.readTopLevelBoxes(file)).find(box => box.type === 'moov');
+        if (!moov) return null;
+        const view = new DataView(await file.slice(moov.start + moov.headerSize, moov.start + moov.size).arrayBuffer());
+
+        for (const trak of this.children(view, 0, view.byteLength).filter(box => box.type === 'trak')) {
+            const mdia = this.child(view, trak, 'mdia');
+            const hdlr = this.child(view, mdia, 'hdlr');
+            if (!hdlr || String.fromCharCode(...new Uint8Array(view.buffer, hdlr.start + 8, 4)) !== 'soun') continue;
+            const stbl = this.child(view, this.child(view, mdia, 'minf'), 'stbl');
+            const stsd = this.child(view, stbl, 'stsd');
+            if (!stsd) continue;
+            // stsd: version/flags, entry count, then sample entries
+            const entry = this.children(view, stsd.start + 8, stsd.end)[0];
+            if (!entry || entry.type !== 'mp4a') continue;
+            // AudioSampleEntry is 28 bytes before its child boxes (QuickTime version 1/2 entries are longer)
+            const soundVersion = view.getUint16(entry.start + 8);
+            const entryHeader = 28 + ({ 1: 16, 2: 36 }[soundVersion] || 0);
+            const esds = this.children(view, entry.start + entryHeader, entry.end).find(box => box.type === 'esds')
+                || this.child(view, this.children(view, entry.start + entryHeader, entry.end).find(box => box.type === 'wave'), 'esds');
+            const config = esds && this.readAudioSpecificConfig(view, esds);
+            if (!config) continue;
+            const samples = this.readSampleTable(view, stbl);
+            return samples.length > 0 ? { config, samples } : null;
+        }
+        return null;
+    },
+
+    // esds descriptors -> { profile, frequencyIndex, channels } for the ADTS header
+    readAudioSpecificConfig(view, esds) {
+        let offset = esds.start + 4; // version/flags
+        const readDescriptor = () => {
+            const tag = view.getUint8(offset++);
+            let length = 0;
+            for (let i = 0; i < 4; i++) {
+                const byte = view.getUint8(offset++);
+                length = (length << 7) | (byte & 0x7F);
+                if (!(byte & 0x80)) break;
+            }
+            return { tag, length };
+        };
+        if (readDescriptor().tag !== 0x03) return null; // ES_Descriptor
+        const flags = view.getUint8(offset + 2);
+        offset += 3;
+        if (flags & 0x80) offset += 2; // dependsOn_ES_ID
+        if (flags & 0x40) offset += 1 + view.getUint8(offset); // URL
+        if (flags & 0x20) offset += 2; // OCR_ES_Id
+        if (readDescriptor().tag !== 0x04) return null; // DecoderConfigDescriptor
+        offset += 13;
+        const specific = readDescriptor();
+        if (specific.tag !== 0x05) return null; // DecoderSpecificInfo = AudioSpecificConfig
+
+        let bitOffset = offset * 8;
+        const bits = (count) => {
+            let value = 0;
+            for (let i = 0; i < count; i++, bitOffset++) {
+                value = (value << 1) | ((view.getUint8(bitOffset >> 3) >> (7 - (bitOffset & 7))) & 1);
+            }
+            return value;
+        };
+        let objectType = bits(5);
+        const frequencyIndex = bits(4);
+        const channels = bits(4);
+        if (frequencyIndex === 15) return null;
+        // HE-AAC signals SBR explicitly; ADTS carries the AAC core underneath
+        if (objectType === 5 || objectType === 29) {
+            if (bits(4) === 15) bits(24);
+            objectType = bits(5);
+        }
+        if (objectType < 1 || objectType > 4 || channels < 1 || channels > 7) return null;
+        return { profile: objectType - 1, frequencyIndex, channels };
+    },
+
+    // stsz + stsc + stco/co64 -> [{ offset, size }] in file order
+    readSampleTable(view, stbl) {
+        const stsz = this.child(view, stbl, 'stsz');
+        const stsc = this.child(view, stbl, 'stsc');
+        const stco = this.child(view, stbl, 'stco');
+        const co64 = this.child(view, stbl, 'co64');
+        if (!stsz || !stsc || (!stco && !co64)) return [];
+
+        const fixedSize = view.getUint32(stsz.start + 4);
+        const sampleCount = view.getUint32(stsz.start + 8);
+        const sampleSize = (index) => fixedSize || view.getUint32(stsz.start + 12 + index * 4);
+
+        const chunkBox = stco || co64;
+        const chunkCount = view.getUint32(chunkBox.start + 4);
+        const chunkOffset = (index) => stco
+            ? view.getUint32(stco.start + 8 + index * 4)
+            : Number(view.getBigUint64(co64.start + 8 + index * 8));
+
+        const runs = [];
+        const runCount = view.getUint32(stsc.start + 4);
+        for (let i = 0; i < runCount; i++) {
+            runs.push({
+                firstChunk: view.getUint32(stsc.start + 8 + i * 12) - 1,
+                samplesPerChunk: view.getUint32(stsc.start + 12 + i * 12)
+            });
+        }
+
+        const samples = [];
+        let sample = 0;
+        for (let run = 0; run < runs.length; run++) {
+            const lastChunk = run + 1 < runs.length ? runs[run + 1].firstChunk : chunkCount;
+            for (let chunk = runs[run].firstChunk; chunk < lastChunk && sample < sampleCount; chunk++) {
+                let offset = chunkOffset(chunk);
+                for (let i = 0; i < runs[run].samplesPerChunk && sample < sampleCount; i++, sample++) {
+                    const size = sampleSize(sample);
+                    samples.push({ offset, size });
+                    offset += size;
+                }
+            }
+        }
+        return samples;
+    },
+
+    adtsHeader({ profile, frequencyIndex, channels }, payloadSize) {
+        const length = payloadSize + 7;
+        return [
+            0xFF,
+            0xF1, // MPEG-4, layer 0, no CRC
+            (profile << 6) | (frequencyIndex << 2) | (channels >> 2),
+            ((channels & 3) << 6) | (length >> 11),
+            (length >> 3) & 0xFF,
+            ((length & 7) << 5) | 0x1F,
+            0xFC
+        ];
+    },
+
+    // Copy each AAC frame out of the file with an ADTS header in front, reading neighbouring samples together
+    async demuxAac(file, { config, samples }, onProgress) {
+        const parts = [];
+        let output = new Uint8Array(this.OUTPUT_PART_SIZE);
+        let written = 0;
+        const write = (bytes) => {
+            if (written + bytes.length > output.length) {
+                parts.push(output.slice(0, written));
+                output = new Uint8Array(Math.max(this.OUTPUT_PART_SIZE, bytes.length));
+                written = 0;
+            }
+            output.set(bytes, written);
+            written += bytes.length;
+        };
+
+        for (let first = 0; first < samples.length;) {
+            // Extend the read while samples are contiguous, up to about one output part
+            let last = first;
+            while (last + 1 < samples.length
+                && samples[last + 1].offset === samples[last].offset + samples[last].size
+                && samples[last + 1].offset + samples[last + 1].size - samples[first].offset <= this.OUTPUT_PART_SIZE) {
+                last++;
+            }
+            const start = samples[first].offset;
+            const bytes = new Uint8Array(await file.slice(start, samples[last].offset + samples[last].size).arrayBuffer());
+            for (let i = first; i <= last; i++) {
+                write(this.adtsHeader(config, samples[i].size));
+                write(bytes.subarray(samples[i].offset - start, samples[i].offset - start + samples[i].size));
+            }
+            first = last + 1;
+            if (onProgress) onProgress(first / samples.length);
+        }
+        parts.push(output.slice(0, written));
+        return new Blob(parts, { type: 'audio/aac' });
+    }
+};